@@ -0,0 +1,246 @@
+/**
+ * Notes Tracking for Larga
+ *
+ * AI analysis pulls the changes requested in producer notes (actionItems) and
+ * the open questions in session notes (questions) onto the document. Each one
+ * becomes a tracked action item in the project's action-items.json, with a
+ * status, an assignee and the draft that resolved it:
+ *
+ *   const items = syncDocumentItems(await loadActionItems(itemsPath), notesDocument);
+ *   const open = getOpenItemsForDraft(items, projectData.documents, draft);
+ *
+ * An optional AI pass checks a newer draft against the open items and stores
+ * a proposal on each one; proposals are suggestions only, and an item's
+ * status changes when someone accepts it.
+ */
+
+const fs = require('fs-extra');
+const crypto = require('crypto');
+
+const ACTION_ITEM_STATUSES = ['open', 'addressed', 'declined'];
+
+// Document fields tracked as action items, and the kind of item they become
+const TRACKED_FIELDS = { actionItems: 'action', questions: 'question' };
+
+// Reply to the notes check prompt: one entry per item id in the prompt
+const NOTES_CHECK_SCHEMA = {
+  type: 'object',
+  required: ['results'],
+  properties: {
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'addressed'],
+        properties: {
+          id: { type: 'string' },
+          addressed: { type: 'boolean' },
+          evidence: { type: ['string', 'null'] }
+        }
+      }
+    }
+  }
+};
+
+function normalizeText(text) {
+  return text.trim().replace(/\s+/g, ' ');
+}
+
+// Stable id for an item: the same note in the same document keeps its id across re-analysis
+function getItemId(documentId, kind, text) {
+  const hash = crypto.createHash('sha256').update(`${kind}:${normalizeText(text).toLowerCase()}`).digest('hex').slice(0, 10);
+  return `${documentId}-${hash}`;
+}
+
+/**
+ * Load a project's action items ([] when there are none yet)
+ */
+async function loadActionItems(itemsPath) {
+  if (!(await fs.pathExists(itemsPath))) {
+    return [];
+  }
+  const data = await fs.readJSON(itemsPath);
+  return data.items || [];
+}
+
+async function saveActionItems(itemsPath, items) {
+  await fs.writeJSON(itemsPath, { items }, { spaces: 2 });
+}
+
+/**
+ * Bring a document's items in line with its latest analysis: new notes are
+ * added as open items, existing ones keep their status, and open unassigned
+ * items the analysis no longer finds are dropped.
+ */
+function syncDocumentItems(items, document, now = new Date()) {
+  const createdAt = now.toISOString();
+  const from = [].concat(document.notesFrom || []).join(', ') || null;
+  const current = new Map();
+
+  for (const [field, kind] of Object.entries(TRACKED_FIELDS)) {
+    for (const raw of document[field] || []) {
+      if (typeof raw !== 'string' || !raw.trim()) continue;
+      const id = getItemId(document.id, kind, raw);
+      if (!current.has(id)) current.set(id, { kind, text: normalizeText(raw) });
+    }
+  }
+
+  const kept = items.filter(item => item.sourceDocumentId !== document.id ||
+    current.has(item.id) || item.status !== 'open' || item.assignee);
+
+  for (const [id, { kind, text }] of current) {
+    const existing = kept.find(item => item.id === id);
+    if (existing) {
+      existing.from = from;
+      continue;
+    }
+    kept.push({
+      id,
+      sourceDocumentId: document.id,
+      kind,
+      text,
+      from,
+      status: 'open',
+      assignee: null,
+      resolvedByDocumentId: null,
+      resolvedAt: null,
+      note: null,
+      proposal: null,
+      createdAt,
+      updatedAt: createdAt
+    });
+  }
+
+  return kept;
+}
+
+/**
+ * Remove a deleted document's items. Items it resolved are reopened and its
+ * proposals dropped.
+ */
+function removeDocumentItems(items, documentId) {
+  return items
+    .filter(item => item.sourceDocumentId !== documentId)
+    .map(item => {
+      const updated = { ...item };
+      if (updated.resolvedByDocumentId === documentId) {
+        updated.status = 'open';
+        updated.resolvedByDocumentId = null;
+        updated.resolvedAt = null;
+      }
+      if (updated.proposal?.documentId === documentId) {
+        updated.proposal = null;
+      }
+      return updated;
+    });
+}
+
+/**
+ * Validate a PATCH body for an item. Returns a list of error messages.
+ */
+function validateActionItemUpdate(update, documentIds) {
+  const errors = [];
+  if (update.status !== undefined && !ACTION_ITEM_STATUSES.includes(update.status)) {
+    errors.push(`status must be one of: ${ACTION_ITEM_STATUSES.join(', ')}`);
+  }
+  for (const field of ['assignee', 'note']) {
+    if (update[field] !== undefined && update[field] !== null && typeof update[field] !== 'string') {
+      errors.push(`${field} must be a string or null`);
+    }
+  }
+  if (update.resolvedByDocumentId !== undefined && update.resolvedByDocumentId !== null &&
+      !documentIds.includes(update.resolvedByDocumentId)) {
+    errors.push('resolvedByDocumentId must be a document in this project');
+  }
+  if (update.proposal !== undefined && update.proposal !== null) {
+    errors.push('proposal can only be cleared (null)');
+  }
+  return errors;
+}
+
+/**
+ * Apply a validated update to an item. Marking an item addressed without
+ * naming a draft uses the draft its proposal came from; reopening clears the
+ * resolution.
+ */
+function applyActionItemUpdate(item, update, now = new Date()) {
+  const updated = { ...item, updatedAt: now.toISOString() };
+
+  for (const field of ['assignee', 'note']) {
+    if (update[field] !== undefined) {
+      updated[field] = update[field] && update[field].trim() ? update[field].trim() : null;
+    }
+  }
+  if (update.resolvedByDocumentId !== undefined) {
+    updated.resolvedByDocumentId = update.resolvedByDocumentId;
+  }
+  if (update.proposal === null) {
+    updated.proposal = null;
+  }
+
+  if (update.status !== undefined && update.status !== item.status) {
+    updated.status = update.status;
+    updated.resolvedAt = update.status === 'open' ? null : now.toISOString();
+    if (update.status === 'open') {
+      updated.resolvedByDocumentId = null;
+    } else if (update.status === 'addressed' && update.resolvedByDocumentId === undefined && item.proposal?.addressed) {
+      updated.resolvedByDocumentId = item.proposal.documentId;
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * Open items a draft could address: those from documents dated before it
+ */
+function getOpenItemsForDraft(items, documents, draft) {
+  const dates = new Map(documents.map(document => [document.id, new Date(document.date)]));
+  const draftDate = new Date(draft.date);
+  return items.filter(item => item.status === 'open' &&
+    item.sourceDocumentId !== draft.id &&
+    dates.get(item.sourceDocumentId) < draftDate);
+}
+
+/**
+ * List items for the notes check prompt, one per line with their id
+ */
+function formatItemsForPrompt(items) {
+  return items.map(item =>
+    `- [${item.id}] ${item.kind === 'question' ? 'Question' : 'Change requested'}${item.from ? ` (from ${item.from})` : ''}: ${item.text}`
+  ).join('\n');
+}
+
+/**
+ * Store a notes check's results on the items as proposals. results is the
+ * merged [{ id, addressed, evidence }]; items that were resolved in the
+ * meantime are left alone. Returns the updated list.
+ */
+function applyProposals(items, documentId, results, now = new Date()) {
+  const checkedAt = now.toISOString();
+  const byId = new Map(results.map(result => [result.id, result]));
+  return items.map(item => {
+    const result = byId.get(item.id);
+    if (!result || item.status !== 'open') return item;
+    // A draft that doesn't address an item doesn't undo an earlier draft that did
+    if (!result.addressed && item.proposal?.addressed && item.proposal.documentId !== documentId) return item;
+    return {
+      ...item,
+      proposal: { documentId, addressed: result.addressed, evidence: result.evidence || null, checkedAt }
+    };
+  });
+}
+
+module.exports = {
+  ACTION_ITEM_STATUSES,
+  NOTES_CHECK_SCHEMA,
+  loadActionItems,
+  saveActionItems,
+  syncDocumentItems,
+  removeDocumentItems,
+  validateActionItemUpdate,
+  applyActionItemUpdate,
+  getOpenItemsForDraft,
+  formatItemsForPrompt,
+  applyProposals
+};
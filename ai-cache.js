@@ -0,0 +1,131 @@
+/**
+ * AI Response Cache for Larga
+ *
+ * The same model call with the same input gives an answer worth keeping:
+ * re-analyzing an unchanged document or re-opening a comparison shouldn't be
+ * billed twice. Responses are stored per project, one file per request,
+ * content-addressed by the input text, the rendered prompt and the model:
+ *
+ *   const provider = withResponseCache(createProvider(config), cacheDir);
+ *   const { content, cached } = await provider.complete(request);
+ *
+ * Pass { refresh: true } to skip cached answers; the fresh response replaces
+ * the cached one. A request with deferCache: true isn't cached until the
+ * caller has checked the answer and calls response.commitCache(), so output
+ * that fails validation is never replayed:
+ *
+ *   const response = await provider.complete({ ...request, deferCache: true });
+ *   if (isValid(response.content)) await response.commitCache?.();
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Cache key for a completion request: the provider endpoint, the model that
+ * will actually answer, a hash of the input text and the rendered prompt
+ */
+function getCacheKey(provider, request) {
+  return sha256(JSON.stringify({
+    provider: provider.type,
+    endpoint: provider.name,
+    model: provider.modelOverride || request.model,
+    task: request.task,
+    textHash: sha256(request.context?.text || ''),
+    messages: request.messages || [],
+    json: !!request.json,
+    temperature: request.temperature ?? null,
+    maxTokens: request.maxTokens ?? null
+  }));
+}
+
+/**
+ * Wrap a provider so its completions are read from and written to cacheDir.
+ * Cached responses come back with cached: true; fresh responses to deferCache
+ * requests come back with a commitCache() that writes them. A cache that
+ * can't be read or written is ignored rather than failing the request.
+ */
+function withResponseCache(provider, cacheDir, options = {}) {
+  const { refresh = false } = options;
+
+  return {
+    ...provider,
+
+    async complete(request) {
+      const key = getCacheKey(provider, request);
+      const entryPath = path.join(cacheDir, `${key}.json`);
+
+      if (!refresh) {
+        try {
+          if (await fs.pathExists(entryPath)) {
+            const entry = await fs.readJSON(entryPath);
+            return { content: entry.content, model: entry.model, usage: entry.usage, cached: true };
+          }
+        } catch (error) {
+          console.warn(`Unreadable AI cache entry ${key}:`, error.message);
+        }
+      }
+
+      const response = await provider.complete(request);
+
+      const commitCache = async () => {
+        try {
+          await fs.ensureDir(cacheDir);
+          await fs.writeJSON(entryPath, {
+            task: request.task,
+            model: response.model,
+            content: response.content,
+            usage: response.usage || null,
+            createdAt: new Date().toISOString()
+          });
+        } catch (error) {
+          console.warn(`Failed to write AI cache entry ${key}:`, error.message);
+        }
+      };
+
+      if (request.deferCache) {
+        return { ...response, cached: false, commitCache };
+      }
+      await commitCache();
+      return { ...response, cached: false };
+    }
+  };
+}
+
+/**
+ * Count a cache directory's entries and their total size in bytes
+ */
+async function getResponseCacheStats(cacheDir) {
+  if (!(await fs.pathExists(cacheDir))) {
+    return { entries: 0, bytes: 0 };
+  }
+
+  const files = (await fs.readdir(cacheDir)).filter(file => file.endsWith('.json'));
+  let bytes = 0;
+  for (const file of files) {
+    bytes += (await fs.stat(path.join(cacheDir, file))).size;
+  }
+  return { entries: files.length, bytes };
+}
+
+/**
+ * Delete every cached response in a cache directory.
+ * Returns the number of entries removed.
+ */
+async function clearResponseCache(cacheDir) {
+  const { entries } = await getResponseCacheStats(cacheDir);
+  await fs.remove(cacheDir);
+  return entries;
+}
+
+module.exports = {
+  getCacheKey,
+  withResponseCache,
+  getResponseCacheStats,
+  clearResponseCache
+};
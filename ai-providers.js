@@ -0,0 +1,277 @@
+/**
+ * AI Providers for Larga
+ *
+ * Every AI call goes through a provider chosen per project, so confidential
+ * scripts can be analyzed without leaving the machine. All providers share
+ * one interface:
+ *
+ *   const provider = createProvider({ type: 'local', baseUrl: 'http://localhost:11434/v1' });
+ *   const { content, model } = await provider.complete({
+ *     task: 'analyze',           // analyze | classify | compareBrief | storyGrid | mergeSummaries
+ *     model: 'openai/gpt-4o',    // Requested model (a local provider may override it)
+ *     messages: [...],           // Chat messages for language-model providers
+ *     json: true,                // Ask for a JSON object response
+ *     signal,                    // Optional AbortSignal to cancel the request
+ *     context: { text, ... }     // Structured inputs for the heuristic provider
+ *   });
+ *
+ * Providers:
+ * - openrouter: OpenRouter (needs OPENROUTER_API_KEY)
+ * - local: any OpenAI-compatible endpoint, e.g. a self-hosted model server
+ * - heuristic: deterministic built-in heuristics, no network at all
+ */
+
+const OpenAI = require('openai');
+const { createHeuristicProvider } = require('./heuristic-provider');
+
+const PROVIDER_TYPES = ['openrouter', 'local', 'heuristic'];
+
+/**
+ * Default provider when a project hasn't chosen one: AI_PROVIDER from the
+ * environment, else OpenRouter if a key is set, else the offline heuristics
+ */
+function getDefaultProviderType() {
+  if (PROVIDER_TYPES.includes(process.env.AI_PROVIDER)) {
+    return process.env.AI_PROVIDER;
+  }
+  return process.env.OPENROUTER_API_KEY ? 'openrouter' : 'heuristic';
+}
+
+/**
+ * Wrap an OpenAI SDK client as a provider
+ */
+function createChatProvider({ type, name, client, modelOverride = null, offline = false }) {
+  return {
+    type,
+    name,
+    available: !!client,
+    offline,
+    modelOverride, // Model that answers every request, whatever is requested (local servers)
+    unlimitedInput: false, // Long documents are split into chunks (see chunked-analysis.js)
+
+    async complete(request) {
+      if (!client) {
+        throw new Error(`AI provider "${name}" is not configured`);
+      }
+
+      const model = modelOverride || request.model;
+      const completion = await client.chat.completions.create({
+        model,
+        messages: request.messages,
+        ...(request.json ? { response_format: { type: 'json_object' } } : {}),
+        ...(request.temperature !== undefined ? { temperature: request.temperature } : {}),
+        ...(request.maxTokens ? { max_tokens: request.maxTokens } : {})
+      }, { signal: request.signal || undefined });
+
+      return {
+        content: completion.choices[0].message.content,
+        model,
+        usage: completion.usage || null
+      };
+    }
+  };
+}
+
+/**
+ * OpenRouter provider (the original behaviour)
+ */
+function createOpenRouterProvider() {
+  const apiKey = process.env.OPENROUTER_API_KEY;
+  const client = apiKey ? new OpenAI({
+    baseURL: 'https://openrouter.ai/api/v1',
+    apiKey,
+    defaultHeaders: {
+      'HTTP-Referer': 'https://larga.app',
+      'X-Title': 'Larga Story Tracker'
+    }
+  }) : null;
+
+  return createChatProvider({ type: 'openrouter', name: 'OpenRouter', client });
+}
+
+/**
+ * Whether LOCAL_AI_API_KEY may be sent to a base URL: only LOCAL_AI_BASE_URL
+ * and the URLs the operator lists in LOCAL_AI_KEY_URLS (comma-separated) get
+ * it, so a project can't point the provider elsewhere to collect the key
+ */
+function isTrustedLocalURL(baseURL) {
+  const normalize = url => url.trim().replace(/\/+$/, '').toLowerCase();
+  const trusted = [process.env.LOCAL_AI_BASE_URL, ...(process.env.LOCAL_AI_KEY_URLS || '').split(',')]
+    .filter(url => url && url.trim())
+    .map(normalize);
+  return trusted.includes(normalize(baseURL));
+}
+
+/**
+ * Whether a base URL points at this machine or the local network (localhost,
+ * loopback and private addresses, .local hosts). Only those endpoints count
+ * as offline: requests never leave the network and cost nothing, while a
+ * remote OpenAI-compatible endpoint is priced like any other provider.
+ */
+function isLocalNetworkURL(baseURL) {
+  let hostname;
+  try {
+    hostname = new URL(baseURL).hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  } catch {
+    return false;
+  }
+
+  return hostname === 'localhost' || hostname.endsWith('.localhost') || hostname.endsWith('.local') ||
+    hostname === '::1' || /^f[cd][0-9a-f]{2}:/.test(hostname) ||
+    /^127\./.test(hostname) || /^10\./.test(hostname) || /^192\.168\./.test(hostname) ||
+    /^172\.(1[6-9]|2\d|3[01])\./.test(hostname);
+}
+
+/**
+ * OpenAI-compatible local endpoint. The base URL comes from the project
+ * config or LOCAL_AI_BASE_URL; the API key only from LOCAL_AI_API_KEY, so
+ * secrets never end up in project settings, and it is only sent to trusted
+ * URLs (see isTrustedLocalURL). Local servers rarely know OpenRouter model
+ * names, so config.model (or LOCAL_AI_MODEL) replaces them. The endpoint is
+ * offline only when it is on the local network (see isLocalNetworkURL).
+ */
+function createLocalProvider(config = {}) {
+  const baseURL = config.baseUrl || process.env.LOCAL_AI_BASE_URL;
+  const apiKey = baseURL && isTrustedLocalURL(baseURL) ? process.env.LOCAL_AI_API_KEY : null;
+  const client = baseURL ? new OpenAI({
+    baseURL,
+    apiKey: apiKey || 'not-needed'
+  }) : null;
+
+  return createChatProvider({
+    type: 'local',
+    name: baseURL ? `Local (${baseURL})` : 'Local',
+    client,
+    modelOverride: config.model || process.env.LOCAL_AI_MODEL || null,
+    offline: baseURL ? isLocalNetworkURL(baseURL) : true
+  });
+}
+
+/**
+ * Create the provider for a project's AI provider config
+ * ({ type, baseUrl, model }); missing config uses the default provider
+ */
+function createProvider(config = {}) {
+  const type = config?.type || getDefaultProviderType();
+
+  switch (type) {
+    case 'local':
+      return createLocalProvider(config);
+    case 'heuristic':
+      return createHeuristicProvider();
+    default:
+      return createOpenRouterProvider();
+  }
+}
+
+// Error codes and message phrases providers use when a content policy blocks
+// a request (other 400s are malformed requests that no model will accept)
+const MODERATION_ERROR_CODES = ['content_policy_violation', 'content_filter', 'moderation', 'flagged'];
+const MODERATION_PHRASES = ['content policy', 'content_policy', 'content filter', 'moderation', 'flagged', 'harmful', 'blocked'];
+
+/**
+ * What kind of failure an AI request error is: 'moderation' (a content
+ * policy blocked it), 'transient' (rate limits, server errors, dropped
+ * connections) or null for anything retrying with another model won't fix
+ */
+function getAIErrorKind(error) {
+  const message = (error.message || '').toLowerCase();
+  const code = String(error.code || error.error?.code || '').toLowerCase();
+  if (MODERATION_ERROR_CODES.includes(code) || MODERATION_PHRASES.some(phrase => message.includes(phrase))) {
+    return 'moderation';
+  }
+
+  if ([408, 429].includes(error.status) || error.status >= 500 ||
+      ['APIConnectionError', 'APIConnectionTimeoutError'].includes(error.constructor?.name) ||
+      ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN'].includes(error.code)) {
+    return 'transient';
+  }
+
+  return null;
+}
+
+/**
+ * Run attempt(model) with each model in turn until one succeeds, moving on
+ * only after moderation or transient errors (see getAIErrorKind).
+ * Returns { value, model, attempts }, where attempts lists the models that
+ * failed first as { model, reason, error }. If every model fails, the last
+ * error is thrown with error.attempts set.
+ */
+async function completeWithFallback(models, attempt, signal = null) {
+  const attempts = [];
+
+  for (const [index, model] of models.entries()) {
+    try {
+      return { value: await attempt(model), model, attempts };
+    } catch (error) {
+      const reason = signal?.aborted ? null : getAIErrorKind(error);
+      attempts.push({ model, reason: reason || 'error', error: error.message });
+
+      if (!reason || index === models.length - 1) {
+        error.attempts = attempts;
+        throw error;
+      }
+      console.warn(`AI request with ${model} failed (${reason}), falling back to ${models[index + 1]}:`, error.message);
+    }
+  }
+
+  throw new Error('No models to try');
+}
+
+/**
+ * Validate a project's AI provider config.
+ * Returns a list of error messages (empty when valid).
+ */
+function validateProviderConfig(config) {
+  const errors = [];
+  if (!config || typeof config !== 'object') {
+    return ['aiProvider must be an object'];
+  }
+
+  if (!PROVIDER_TYPES.includes(config.type)) {
+    errors.push(`aiProvider.type must be one of: ${PROVIDER_TYPES.join(', ')}`);
+  }
+
+  if (config.baseUrl) {
+    try {
+      const url = new URL(config.baseUrl);
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        errors.push('aiProvider.baseUrl must be an http(s) URL');
+      }
+    } catch {
+      errors.push('aiProvider.baseUrl must be a valid URL');
+    }
+  }
+
+  if (config.model !== undefined && config.model !== null && typeof config.model !== 'string') {
+    errors.push('aiProvider.model must be a string');
+  }
+
+  return errors;
+}
+
+/**
+ * Describe every provider and whether it can be used with a project's config
+ */
+function listProviders(config = {}) {
+  return PROVIDER_TYPES.map(type => {
+    const provider = createProvider({ ...config, type });
+    return {
+      type,
+      name: provider.name,
+      available: provider.available,
+      offline: provider.offline,
+      isDefault: type === getDefaultProviderType()
+    };
+  });
+}
+
+module.exports = {
+  PROVIDER_TYPES,
+  getDefaultProviderType,
+  createProvider,
+  getAIErrorKind,
+  completeWithFallback,
+  validateProviderConfig,
+  listProviders
+};
@@ -0,0 +1,234 @@
+/**
+ * AI Output Schemas for Larga
+ *
+ * Models don't always answer in the shape a prompt asks for: a list of
+ * characters comes back as a comma-separated string, or the JSON is wrapped in
+ * a markdown fence. Each AI output has a schema (a small subset of JSON
+ * Schema), responses are validated against it, and an invalid response gets
+ * one repair re-prompt that names the failing fields:
+ *
+ *   const { value, completion } = await completeWithSchema(provider, request, getAnalysisSchema('notes'));
+ *
+ * If the repaired response is still invalid, the error lists every failing
+ * field (error.fields) and carries httpStatus 502, as the fault lies with the
+ * model's output rather than the request.
+ */
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+const optionalString = { type: ['string', 'null'] };
+
+// Fields every analysis prompt asks for
+const ANALYSIS_BASE_PROPERTIES = {
+  characters: stringArray,
+  themes: stringArray,
+  summary: optionalString,
+  genre: optionalString
+};
+
+// Type-specific analysis fields, keyed like the AI prompts
+const ANALYSIS_SCHEMAS = {
+  notes: {
+    type: 'object',
+    required: ['characters', 'themes', 'summary'],
+    properties: {
+      ...ANALYSIS_BASE_PROPERTIES,
+      notesFrom: { type: ['string', 'array', 'null'], items: { type: 'string' } },
+      actionItems: stringArray
+    }
+  },
+  beatSheet: {
+    type: 'object',
+    required: ['characters', 'themes', 'summary'],
+    properties: {
+      ...ANALYSIS_BASE_PROPERTIES,
+      structure: optionalString,
+      beatCount: { type: ['integer', 'null'] }
+    }
+  },
+  sessionNotes: {
+    type: 'object',
+    required: ['characters', 'themes', 'summary'],
+    properties: {
+      ...ANALYSIS_BASE_PROPERTIES,
+      questions: stringArray
+    }
+  },
+  default: {
+    type: 'object',
+    required: ['characters', 'themes', 'summary'],
+    properties: ANALYSIS_BASE_PROPERTIES
+  }
+};
+
+const STORY_GRID_SCHEMA = {
+  type: 'object',
+  required: ['episodes', 'characterActions'],
+  properties: {
+    episodes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['number', 'title'],
+        properties: {
+          number: { type: 'integer' },
+          title: { type: 'string' }
+        }
+      }
+    },
+    characterActions: {
+      type: 'object',
+      additionalProperties: { type: 'object', additionalProperties: { type: 'string' } }
+    },
+    themeAppearances: {
+      type: 'object',
+      additionalProperties: { type: 'object', additionalProperties: stringArray }
+    }
+  }
+};
+
+/**
+ * Schema for a document type's analysis (matches the prompt chosen for it)
+ */
+function getAnalysisSchema(documentType) {
+  if (documentType === 'sessionNotes' || documentType === 'quickNote') {
+    return ANALYSIS_SCHEMAS.sessionNotes;
+  }
+  return ANALYSIS_SCHEMAS[documentType] || ANALYSIS_SCHEMAS.default;
+}
+
+/**
+ * Schema for a classification reply: one of the document type keys
+ */
+function getClassificationSchema(typeKeys) {
+  return { type: 'string', enum: typeKeys };
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema.
+ * Returns a list of { field, message } (empty when valid); field is a path
+ * like "episodes[2].title" ("" for the whole response).
+ */
+function validateSchema(value, schema, field = '') {
+  const types = schema.type ? [].concat(schema.type) : null;
+  if (types && !types.some(type => matchesType(value, type))) {
+    return [{ field, message: `must be ${types.map(type => `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`).join(' or ')}, got ${typeOf(value)}` }];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ field, message: `must be one of: ${schema.enum.join(', ')}` }];
+  }
+
+  const errors = [];
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${field}[${index}]`)));
+  }
+
+  if (typeOf(value) === 'object') {
+    const child = key => field ? `${field}.${key}` : key;
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ field: child(key), message: 'is required' });
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[key] || schema.additionalProperties;
+      if (propertySchema && propertyValue !== undefined) {
+        errors.push(...validateSchema(propertyValue, propertySchema, child(key)));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse a JSON response, unwrapping a markdown code fence if the model added one
+ */
+function parseJsonResponse(content) {
+  let jsonText = content.trim();
+  const fence = jsonText.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fence) {
+    jsonText = fence[1].trim();
+  }
+  return JSON.parse(jsonText);
+}
+
+function formatErrors(errors) {
+  return errors.map(error => `${error.field || 'response'} ${error.message}`).join('; ');
+}
+
+// Parse and validate a response; syntax errors are reported on the whole response
+function check(content, schema, parse) {
+  let value;
+  try {
+    value = parse(content);
+  } catch (error) {
+    return { value: null, errors: [{ field: '', message: `is not valid JSON (${error.message})` }] };
+  }
+  return { value, errors: validateSchema(value, schema) };
+}
+
+/**
+ * Make a completion request and validate the response against a schema,
+ * re-prompting up to maxRepairs times with the validation errors. Only the
+ * answer that passes is written to the response cache.
+ * options: { parse (content -> value, default parseJsonResponse), maxRepairs }
+ * Returns { value, completion, repaired }.
+ */
+async function completeWithSchema(provider, request, schema, options = {}) {
+  const { parse = parseJsonResponse, maxRepairs = 1 } = options;
+  request = { ...request, deferCache: true }; // Only valid answers are cached (see ai-cache.js)
+
+  let completion = await provider.complete(request);
+  let { value, errors } = check(completion.content, schema, parse);
+  let messages = request.messages || [];
+
+  for (let attempt = 0; errors.length > 0 && attempt < maxRepairs; attempt++) {
+    request.signal?.throwIfAborted();
+    console.warn(`AI ${request.task} response failed validation, asking for a repair: ${formatErrors(errors)}`);
+
+    messages = [
+      ...messages,
+      { role: 'assistant', content: completion.content },
+      {
+        role: 'user',
+        content: `Your response did not match the required format:
+${errors.map(error => `- ${error.field || 'response'} ${error.message}`).join('\n')}
+
+Return only the corrected response, matching this JSON schema, with no additional text:
+${JSON.stringify(schema)}`
+      }
+    ];
+    completion = await provider.complete({ ...request, messages });
+    ({ value, errors } = check(completion.content, schema, parse));
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(`AI ${request.task} response was invalid: ${formatErrors(errors)}`);
+    error.httpStatus = 502;
+    error.fields = errors;
+    throw error;
+  }
+
+  await completion.commitCache?.();
+  return { value, completion, repaired: messages !== (request.messages || []) };
+}
+
+module.exports = {
+  STORY_GRID_SCHEMA,
+  getAnalysisSchema,
+  getClassificationSchema,
+  validateSchema,
+  parseJsonResponse,
+  completeWithSchema
+};
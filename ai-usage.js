@@ -0,0 +1,203 @@
+/**
+ * AI Usage Accounting for Larga
+ *
+ * Every completion that reaches a model is recorded in the project's
+ * ai-usage.json with its token counts and estimated cost, attributed to the
+ * document and operation it was made for:
+ *
+ *   const ledger = createUsageLedger({ getUsagePath });
+ *   const provider = withUsageTracking(createProvider(config), entry =>
+ *     ledger.record('shares', { ...entry, documentId: '123' }));
+ *   const report = summarizeUsage(await ledger.list('shares'), { groupBy: 'month' });
+ *
+ * Cached responses (see ai-cache.js) cost nothing and aren't recorded.
+ * Costs come from OpenRouter when it reports them, otherwise from
+ * MODEL_PRICES; models with no known price are counted with a null cost.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+// USD per million tokens (OpenRouter list prices)
+const MODEL_PRICES = {
+  'openai/gpt-4o': { input: 2.5, output: 10 },
+  'anthropic/claude-3.5-sonnet': { input: 3, output: 15 },
+  'anthropic/claude-3-opus': { input: 15, output: 75 },
+  'anthropic/claude-3-haiku': { input: 0.25, output: 1.25 },
+  'google/gemini-pro-1.5': { input: 1.25, output: 5 },
+  'meta-llama/llama-3.1-70b-instruct': { input: 0.4, output: 0.4 }
+};
+
+const USAGE_GROUPINGS = ['day', 'month'];
+
+/**
+ * Estimated cost in USD of one completion, or null if the model's price is
+ * unknown. Offline providers (local servers) are free.
+ */
+function estimateCost(provider, model, usage) {
+  if (provider.offline) return 0;
+  if (typeof usage.cost === 'number') return usage.cost;
+
+  const price = MODEL_PRICES[model];
+  if (!price) return null;
+  return ((usage.prompt_tokens || 0) * price.input + (usage.completion_tokens || 0) * price.output) / 1e6;
+}
+
+/**
+ * Wrap a provider so every uncached completion with token usage is passed to
+ * onUsage({ operation, model, provider, promptTokens, completionTokens, totalTokens, cost })
+ */
+function withUsageTracking(provider, onUsage) {
+  return {
+    ...provider,
+
+    async complete(request) {
+      const response = await provider.complete(request);
+
+      if (response.usage && !response.cached) {
+        const promptTokens = response.usage.prompt_tokens || 0;
+        const completionTokens = response.usage.completion_tokens || 0;
+        onUsage({
+          operation: request.task,
+          model: response.model,
+          provider: provider.type,
+          promptTokens,
+          completionTokens,
+          totalTokens: response.usage.total_tokens || promptTokens + completionTokens,
+          cost: estimateCost(provider, response.model, response.usage)
+        });
+      }
+
+      return response;
+    }
+  };
+}
+
+/**
+ * Create a usage ledger. getUsagePath(projectId) gives the project's
+ * ai-usage.json path.
+ */
+function createUsageLedger({ getUsagePath }) {
+  const projects = new Map(); // projectId -> records, loaded on first use
+  const writes = new Map(); // projectId -> last pending write
+
+  async function load(projectId) {
+    if (!projects.has(projectId)) {
+      const usagePath = getUsagePath(projectId);
+      const data = await fs.pathExists(usagePath) ? await fs.readJSON(usagePath) : { records: [] };
+      if (!projects.has(projectId)) projects.set(projectId, data.records || []);
+    }
+    return projects.get(projectId);
+  }
+
+  // Writes are chained per project so concurrent completions land in order;
+  // nothing is written for a project that has been deleted in the meantime
+  function save(projectId) {
+    const usagePath = getUsagePath(projectId);
+    const previous = writes.get(projectId) || Promise.resolve();
+    const write = previous.then(async () => {
+      if (!projects.has(projectId) || !(await fs.pathExists(path.dirname(usagePath)))) return;
+      await fs.writeJSON(usagePath, { records: projects.get(projectId) }, { spaces: 2 });
+    }).catch(error => {
+      console.error(`Failed to save AI usage for ${projectId}:`, error.message);
+    });
+    writes.set(projectId, write);
+    return write;
+  }
+
+  async function record(projectId, entry) {
+    const records = await load(projectId);
+    records.push({ at: new Date().toISOString(), projectId, documentId: null, ...entry });
+    await save(projectId);
+  }
+
+  // Records between from and to (ISO dates or Date objects, both optional)
+  async function list(projectId, options = {}) {
+    const records = await load(projectId);
+    const from = options.from ? new Date(options.from) : null;
+    const to = options.to ? new Date(options.to) : null;
+    return records.filter(entry => {
+      const at = new Date(entry.at);
+      return (!from || at >= from) && (!to || at <= to);
+    });
+  }
+
+  function forgetProject(projectId) {
+    projects.delete(projectId);
+  }
+
+  return { record, list, forgetProject };
+}
+
+/**
+ * Period key for a timestamp: "2026-10-19" by day, "2026-10" by month (UTC)
+ */
+function getPeriodKey(at, groupBy = 'month') {
+  const iso = new Date(at).toISOString();
+  return groupBy === 'day' ? iso.slice(0, 10) : iso.slice(0, 7);
+}
+
+function emptyTotals() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, unpricedRequests: 0 };
+}
+
+function addToTotals(totals, entry) {
+  totals.requests++;
+  totals.promptTokens += entry.promptTokens;
+  totals.completionTokens += entry.completionTokens;
+  totals.totalTokens += entry.totalTokens;
+  if (entry.cost === null) {
+    totals.unpricedRequests++;
+  } else {
+    totals.cost += entry.cost;
+  }
+}
+
+/**
+ * Total usage records overall and by operation, model, document and period
+ * (oldest period first)
+ */
+function summarizeUsage(records, options = {}) {
+  const { groupBy = 'month' } = options;
+  const totals = emptyTotals();
+  const groups = { byOperation: {}, byModel: {}, byDocument: {}, byPeriod: {} };
+
+  for (const entry of records) {
+    addToTotals(totals, entry);
+    const keys = {
+      byOperation: entry.operation,
+      byModel: entry.model,
+      byDocument: entry.documentId || 'none',
+      byPeriod: getPeriodKey(entry.at, groupBy)
+    };
+    for (const [group, key] of Object.entries(keys)) {
+      if (!groups[group][key]) groups[group][key] = emptyTotals();
+      addToTotals(groups[group][key], entry);
+    }
+  }
+
+  const byPeriod = Object.keys(groups.byPeriod).sort()
+    .map(period => ({ period, ...groups.byPeriod[period] }));
+
+  return { groupBy, totals, byOperation: groups.byOperation, byModel: groups.byModel, byDocument: groups.byDocument, byPeriod };
+}
+
+/**
+ * Cost of the records made in the current calendar month (UTC)
+ */
+function getMonthToDateCost(records, now = new Date()) {
+  const month = getPeriodKey(now, 'month');
+  return records
+    .filter(entry => getPeriodKey(entry.at, 'month') === month)
+    .reduce((sum, entry) => sum + (entry.cost || 0), 0);
+}
+
+module.exports = {
+  MODEL_PRICES,
+  USAGE_GROUPINGS,
+  estimateCost,
+  withUsageTracking,
+  createUsageLedger,
+  summarizeUsage,
+  getMonthToDateCost
+};
@@ -0,0 +1,103 @@
+/**
+ * Batch Analysis for Larga
+ *
+ * After importing a folder of historical drafts, analyzing them one by one is
+ * tedious. A batch runs AI analysis on every document in a project that needs
+ * it, a few at a time, and reports each document's outcome:
+ *
+ *   const reason = getAnalysisReason(document, fingerprint(['text hash', prompt, model]));
+ *   const results = await runWithConcurrency(documents, 2, analyzeOne, signal);
+ *
+ * A fingerprint records what an analysis depended on (text, prompt, model),
+ * so documents whose inputs haven't changed since they were last analyzed are
+ * skipped.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_BATCH_CONCURRENCY = 2;
+const MAX_BATCH_CONCURRENCY = 5;
+
+// Why a document needs (re-)analysis
+const ANALYSIS_REASONS = {
+  forced: 'Re-analysis requested',
+  unclassified: 'Document type not classified yet',
+  notAnalyzed: 'Not analyzed with AI yet',
+  changed: 'Text, prompt or model changed since the last analysis'
+};
+
+/**
+ * Hash the inputs an AI result depends on into a short stable key
+ */
+function fingerprint(values) {
+  return crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Why a document needs analysis (a key of ANALYSIS_REASONS), or null when it
+ * was last analyzed with the same fingerprint. Documents analyzed before
+ * fingerprints were recorded count as changed.
+ */
+function getAnalysisReason(document, currentFingerprint, force = false) {
+  if (force) return 'forced';
+  if (document.type === 'unclassified') return 'unclassified';
+  if (!document.aiEnhanced) return 'notAnalyzed';
+  if (document.analysisFingerprint !== currentFingerprint) return 'changed';
+  return null;
+}
+
+/**
+ * Clamp a requested concurrency to 1..MAX_BATCH_CONCURRENCY
+ */
+function normalizeConcurrency(value) {
+  const concurrency = Number.parseInt(value, 10);
+  if (!Number.isFinite(concurrency)) return DEFAULT_BATCH_CONCURRENCY;
+  return Math.min(Math.max(concurrency, 1), MAX_BATCH_CONCURRENCY);
+}
+
+/**
+ * Run worker(item, index) over items with at most `concurrency` in flight.
+ * Results keep the order of items. The worker should catch its own errors;
+ * an aborted signal stops new items from starting.
+ */
+async function runWithConcurrency(items, concurrency, worker, signal = null) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function runLane() {
+    while (next < items.length) {
+      signal?.throwIfAborted();
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const lanes = Math.min(normalizeConcurrency(concurrency), items.length);
+  await Promise.all(Array.from({ length: lanes }, runLane));
+  return results;
+}
+
+/**
+ * Count a batch's per-document outcomes. Entries are
+ * { status: 'analyzed' | 'skipped' | 'failed', grid: { status } | null }.
+ */
+function summarizeBatch(documents) {
+  const counts = { total: documents.length, analyzed: 0, skipped: 0, failed: 0 };
+  const grids = { generated: 0, skipped: 0, failed: 0 };
+  for (const entry of documents) {
+    counts[entry.status]++;
+    if (entry.grid) grids[entry.grid.status]++;
+  }
+  return { ...counts, grids };
+}
+
+module.exports = {
+  DEFAULT_BATCH_CONCURRENCY,
+  MAX_BATCH_CONCURRENCY,
+  ANALYSIS_REASONS,
+  fingerprint,
+  getAnalysisReason,
+  normalizeConcurrency,
+  runWithConcurrency,
+  summarizeBatch
+};
@@ -0,0 +1,277 @@
+/**
+ * Character Bible for Larga
+ *
+ * Each document stores its characters as plain strings, so "JOHN", "John" and
+ * "John Smith" used to be three characters in the Story Grid. The character
+ * bible is a project-wide registry in characters.json: each character has a
+ * canonical name, aliases, a description and a role. Names are matched
+ * case-insensitively, and any alias resolves to the canonical name:
+ *
+ *   const index = buildAliasIndex(await loadCharacterBible(charactersPath));
+ *   rewriteDocumentCharacters(document, name => resolveCharacterName(index, name));
+ *
+ * Merging characters turns the merged names into aliases of the target and
+ * rewrites every reference to them in the project's documents (characters,
+ * characterActions, sectionActions, themeAppearances, characterOrder and
+ * relationships).
+ */
+
+const fs = require('fs-extra');
+
+const CHARACTER_ROLES = ['lead', 'supporting', 'recurring', 'guest', 'minor'];
+
+// Story Grid fields keyed by character name
+const CHARACTER_KEYED_FIELDS = ['characterActions', 'sectionActions', 'themeAppearances'];
+
+function normalizeName(name) {
+  return name.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function cleanName(name) {
+  return name.trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Load a project's characters ([] when there are none yet)
+ */
+async function loadCharacterBible(charactersPath) {
+  if (!(await fs.pathExists(charactersPath))) {
+    return [];
+  }
+  const data = await fs.readJSON(charactersPath);
+  return data.characters || [];
+}
+
+async function saveCharacterBible(charactersPath, characters) {
+  await fs.writeJSON(charactersPath, { characters }, { spaces: 2 });
+}
+
+/**
+ * A character's canonical name followed by its aliases
+ */
+function getCharacterNames(character) {
+  return [character.name, ...(character.aliases || [])];
+}
+
+/**
+ * Map every normalized name and alias to its character's canonical name
+ */
+function buildAliasIndex(characters) {
+  const index = new Map();
+  for (const character of characters) {
+    for (const name of getCharacterNames(character)) {
+      index.set(normalizeName(name), character.name);
+    }
+  }
+  return index;
+}
+
+/**
+ * The canonical name for a name, or the name itself when it isn't registered
+ */
+function resolveCharacterName(index, name) {
+  return index.get(normalizeName(name)) || name;
+}
+
+/**
+ * Registered character a name belongs to, if any
+ */
+function findCharacterByName(characters, name) {
+  const key = normalizeName(name);
+  return characters.find(character => getCharacterNames(character).some(n => normalizeName(n) === key)) || null;
+}
+
+// Combine two grid cells for the same character: actions are joined, theme lists unioned
+function mergeCell(existing, value) {
+  if (existing === undefined) return value;
+  if (Array.isArray(existing) || Array.isArray(value)) {
+    return [...new Set([].concat(existing || [], value || []))];
+  }
+  if (!existing || existing === value) return value || existing;
+  if (!value) return existing;
+  return `${existing} / ${value}`;
+}
+
+function renameKeys(cellsByCharacter, rename) {
+  const renamed = {};
+  for (const [character, cells] of Object.entries(cellsByCharacter)) {
+    const name = rename(character);
+    renamed[name] = renamed[name] || {};
+    for (const [key, value] of Object.entries(cells || {})) {
+      renamed[name][key] = mergeCell(renamed[name][key], value);
+    }
+  }
+  return renamed;
+}
+
+// Rename both ends of each relationship; ones that now link a character to
+// itself, or repeat another, are dropped
+function renameRelationships(relationships, rename) {
+  const seen = new Set();
+  return relationships
+    .map(relationship => ({ ...relationship, from: rename(relationship.from), to: rename(relationship.to) }))
+    .filter(relationship => {
+      const key = [relationship.type, relationship.from, relationship.to].join('|');
+      if (relationship.from === relationship.to || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+function snapshotCharacterFields(document) {
+  return JSON.stringify([document.characters, document.characterOrder, document.relationships,
+    ...CHARACTER_KEYED_FIELDS.map(field => document[field])]);
+}
+
+/**
+ * Rewrite a document's character references in place with rename (name ->
+ * new name). Characters that end up with the same name are combined: their
+ * grid cells are merged and they appear once in lists. Returns whether
+ * anything changed.
+ */
+function rewriteDocumentCharacters(document, rename) {
+  const before = snapshotCharacterFields(document);
+
+  if (Array.isArray(document.characters)) {
+    document.characters = [...new Set(document.characters.map(rename))];
+  }
+  if (Array.isArray(document.characterOrder)) {
+    document.characterOrder = [...new Set(document.characterOrder.map(rename))];
+  }
+  for (const field of CHARACTER_KEYED_FIELDS) {
+    if (document[field]) {
+      document[field] = renameKeys(document[field], rename);
+    }
+  }
+  if (Array.isArray(document.relationships)) {
+    document.relationships = renameRelationships(document.relationships, rename);
+  }
+
+  return snapshotCharacterFields(document) !== before;
+}
+
+/**
+ * Validate a character for create (partial = false) or update (partial = true).
+ * Names and aliases must not belong to another character. Returns a list of
+ * error messages.
+ */
+function validateCharacter(input, characters, { id = null, partial = false } = {}) {
+  const errors = [];
+  if (!partial || input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      errors.push('name must be a non-empty string');
+    }
+  }
+  if (input.aliases !== undefined &&
+      (!Array.isArray(input.aliases) || input.aliases.some(alias => typeof alias !== 'string' || !alias.trim()))) {
+    errors.push('aliases must be an array of non-empty strings');
+  }
+  if (input.description !== undefined && input.description !== null && typeof input.description !== 'string') {
+    errors.push('description must be a string or null');
+  }
+  if (input.role !== undefined && input.role !== null && !CHARACTER_ROLES.includes(input.role)) {
+    errors.push(`role must be one of: ${CHARACTER_ROLES.join(', ')}`);
+  }
+  if (errors.length > 0) return errors;
+
+  const others = characters.filter(character => character.id !== id);
+  const names = [input.name, ...(input.aliases || [])].filter(name => typeof name === 'string');
+  for (const name of names) {
+    const owner = findCharacterByName(others, name);
+    if (owner) errors.push(`"${cleanName(name)}" already belongs to ${owner.name}`);
+  }
+  return errors;
+}
+
+// Aliases without duplicates or repeats of the canonical name
+function cleanAliases(name, aliases) {
+  const seen = new Set([normalizeName(name)]);
+  const cleaned = [];
+  for (const alias of aliases) {
+    const key = normalizeName(alias);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    cleaned.push(cleanName(alias));
+  }
+  return cleaned;
+}
+
+function createCharacter(input, now = new Date()) {
+  const createdAt = now.toISOString();
+  const name = cleanName(input.name);
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    aliases: cleanAliases(name, input.aliases || []),
+    description: input.description?.trim() || null,
+    role: input.role || null,
+    createdAt,
+    updatedAt: createdAt
+  };
+}
+
+/**
+ * Apply a validated update to a character. A changed canonical name is kept
+ * as an alias, so documents still using the old name resolve to the new one.
+ */
+function applyCharacterUpdate(character, update, now = new Date()) {
+  const updated = { ...character, updatedAt: now.toISOString() };
+  if (update.name !== undefined) updated.name = cleanName(update.name);
+  const aliases = update.aliases !== undefined ? update.aliases : character.aliases;
+  updated.aliases = cleanAliases(updated.name,
+    updated.name !== character.name ? [...aliases, character.name] : aliases);
+  if (update.description !== undefined) updated.description = update.description?.trim() || null;
+  if (update.role !== undefined) updated.role = update.role;
+  return updated;
+}
+
+/**
+ * Merge names into a target character. Names belonging to other registered
+ * characters bring their aliases along (and their description and role when
+ * the target has none), and those characters are removed; other names become
+ * aliases. Returns the updated list.
+ */
+function mergeCharacters(characters, targetId, names, now = new Date()) {
+  const target = characters.find(character => character.id === targetId);
+  const merged = new Set();
+  let aliases = [...target.aliases];
+  let { description, role } = target;
+
+  for (const name of names) {
+    const owner = findCharacterByName(characters, name);
+    if (owner && owner.id !== target.id) {
+      if (!merged.has(owner.id)) {
+        merged.add(owner.id);
+        aliases.push(...getCharacterNames(owner));
+        description = description || owner.description;
+        role = role || owner.role;
+      }
+    } else if (!owner) {
+      aliases.push(name);
+    }
+  }
+
+  aliases = cleanAliases(target.name, aliases);
+  return characters
+    .filter(character => !merged.has(character.id))
+    .map(character => character.id === target.id
+      ? { ...target, aliases, description, role, updatedAt: now.toISOString() }
+      : character);
+}
+
+module.exports = {
+  CHARACTER_ROLES,
+  CHARACTER_KEYED_FIELDS,
+  normalizeName,
+  loadCharacterBible,
+  saveCharacterBible,
+  getCharacterNames,
+  buildAliasIndex,
+  resolveCharacterName,
+  findCharacterByName,
+  rewriteDocumentCharacters,
+  validateCharacter,
+  createCharacter,
+  applyCharacterUpdate,
+  mergeCharacters
+};
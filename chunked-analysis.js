@@ -0,0 +1,273 @@
+/**
+ * Chunked Analysis for Larga
+ *
+ * Long documents don't fit in a single AI request, and truncating them means
+ * characters who only turn up in act three are never found. Instead the text
+ * is split along its sections (scenes for screenplays), each chunk is analyzed
+ * on its own, and the per-chunk results are merged with deduplication:
+ *
+ *   const chunks = splitIntoChunks(text, document.sections, { maxChars: 25000 });
+ *   const results = [];                       // one analysis per chunk
+ *   const merged = mergeAnalyses(results);
+ *   document.analysisCoverage = buildCoverage(text, chunks, [0, 1, 2], 'chunked');
+ *
+ * Coverage records which character ranges of the text the analysis saw, so a
+ * capped or truncated analysis can be flagged on the timeline.
+ */
+
+const ANALYSIS_MODES = ['chunked', 'truncated'];
+
+// Upper bound on AI requests for one document (coverage shows anything skipped)
+const MAX_CHUNKS = 12;
+
+const MAX_MERGED_THEMES = 8;
+const MAX_MERGED_ITEMS = 20;
+
+/**
+ * Find where each section starts in the text, searching in document order.
+ * Screenplay sections for repeated locations carry a " (2)" suffix that isn't
+ * in the text, so it is removed before searching.
+ */
+function findSectionStarts(text, sections) {
+  const starts = [];
+  let cursor = 0;
+
+  for (const section of sections) {
+    const title = (section.title || '').replace(/\s+\(\d+\)$/, '');
+    if (!title) continue;
+
+    const offset = text.indexOf(title, cursor);
+    if (offset === -1) continue;
+
+    starts.push({ offset, title: section.title });
+    cursor = offset + title.length;
+  }
+
+  return starts;
+}
+
+/**
+ * Split a range that is too long for one chunk, preferring paragraph breaks,
+ * then line breaks, then spaces
+ */
+function splitLongRange(text, start, end, maxChars) {
+  const ranges = [];
+  let position = start;
+
+  while (end - position > maxChars) {
+    const window = text.slice(position, position + maxChars);
+    let cut = -1;
+    for (const separator of ['\n\n', '\n', ' ']) {
+      cut = window.lastIndexOf(separator);
+      if (cut > maxChars / 2) break;
+    }
+    const length = cut > maxChars / 2 ? cut + 1 : maxChars;
+    ranges.push({ start: position, end: position + length });
+    position += length;
+  }
+
+  ranges.push({ start: position, end });
+  return ranges;
+}
+
+/**
+ * Split text into chunks of at most maxChars, along section boundaries where
+ * possible. Each chunk is { index, start, end, text, sectionTitles }.
+ * Text without sections is split at paragraph breaks.
+ */
+function splitIntoChunks(text, sections = [], options = {}) {
+  const { maxChars = 25000 } = options;
+
+  if (text.length <= maxChars) {
+    return [{ index: 0, start: 0, end: text.length, text, sectionTitles: sections.map(s => s.title) }];
+  }
+
+  // One piece per section (plus anything before the first), long ones split up
+  const starts = findSectionStarts(text, sections);
+  if (starts.length === 0 || starts[0].offset > 0) {
+    starts.unshift({ offset: 0, title: null });
+  }
+
+  const pieces = [];
+  starts.forEach(({ offset, title }, i) => {
+    const end = i + 1 < starts.length ? starts[i + 1].offset : text.length;
+    splitLongRange(text, offset, end, maxChars).forEach((range, part) => {
+      pieces.push({ ...range, title: part === 0 ? title : null });
+    });
+  });
+
+  // Pack consecutive pieces into chunks
+  const chunks = [];
+  let current = null;
+  for (const piece of pieces) {
+    if (current && piece.end - current.start <= maxChars) {
+      current.end = piece.end;
+    } else {
+      current = { start: piece.start, end: piece.end, sectionTitles: [] };
+      chunks.push(current);
+    }
+    if (piece.title) current.sectionTitles.push(piece.title);
+  }
+
+  return chunks.map((chunk, index) => ({
+    index,
+    ...chunk,
+    text: text.slice(chunk.start, chunk.end)
+  }));
+}
+
+/**
+ * Take excerpts from the beginning, middle and end of a text, for requests
+ * (like classification) that only need a sample but shouldn't only see page one
+ */
+function sampleText(text, maxChars) {
+  if (text.length <= maxChars) return text;
+
+  const partLength = Math.floor(maxChars / 3);
+  const middle = Math.floor((text.length - partLength) / 2);
+  return [
+    text.slice(0, partLength),
+    text.slice(middle, middle + partLength),
+    text.slice(text.length - partLength)
+  ].join('\n[...]\n');
+}
+
+/**
+ * Describe which part of the text an analysis covered.
+ * analyzedChunks are the indexes of chunks whose results were used.
+ */
+function buildCoverage(text, chunks, analyzedChunks, mode) {
+  const ranges = [];
+  for (const index of [...analyzedChunks].sort((a, b) => a - b)) {
+    const { start, end } = chunks[index];
+    const last = ranges[ranges.length - 1];
+    if (last && last.end === start) {
+      last.end = end;
+    } else {
+      ranges.push({ start, end });
+    }
+  }
+
+  const coveredChars = ranges.reduce((sum, range) => sum + range.end - range.start, 0);
+  return {
+    mode,
+    chunkCount: chunks.length,
+    analyzedChunkCount: analyzedChunks.length,
+    totalChars: text.length,
+    coveredChars,
+    ratio: text.length > 0 ? Math.round(coveredChars / text.length * 1000) / 1000 : 1,
+    ranges
+  };
+}
+
+/**
+ * Merge lists of names across chunks, deduplicating case-insensitively.
+ * Names found in more chunks come first; mixed case beats ALL CAPS for
+ * display ("Bo" rather than the screenplay cue "BO").
+ */
+function mergeNames(lists) {
+  const merged = new Map();
+
+  lists.forEach((list, listIndex) => {
+    for (const raw of list || []) {
+      if (typeof raw !== 'string') continue;
+      const name = raw.trim().replace(/\s+/g, ' ');
+      if (!name) continue;
+
+      const key = name.toLowerCase();
+      const entry = merged.get(key);
+      if (!entry) {
+        merged.set(key, { name, count: 1, first: listIndex, lastList: listIndex });
+        continue;
+      }
+      if (entry.lastList !== listIndex) {
+        entry.count++;
+        entry.lastList = listIndex;
+      }
+      if (entry.name === entry.name.toUpperCase() && name !== name.toUpperCase()) {
+        entry.name = name;
+      }
+    }
+  });
+
+  return [...merged.values()]
+    .sort((a, b) => b.count - a.count || a.first - b.first)
+    .map(entry => entry.name);
+}
+
+/**
+ * Most common non-empty value (ties go to the earliest chunk)
+ */
+function mostCommon(values) {
+  const counts = new Map();
+  for (const value of values) {
+    if (!value || typeof value !== 'string') continue;
+    const key = value.trim().toLowerCase();
+    const entry = counts.get(key) || { value: value.trim(), count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+  }
+  const [best] = [...counts.values()].sort((a, b) => b.count - a.count);
+  return best ? best.value : null;
+}
+
+/**
+ * Merge per-chunk analyses into one. The summary is left to the caller,
+ * which can ask the provider to condense chunkSummaries into one sentence.
+ */
+function mergeAnalyses(analyses) {
+  const beatCounts = analyses.map(a => Number(a.beatCount)).filter(n => n > 0);
+
+  return {
+    characters: mergeNames(analyses.map(a => a.characters)),
+    themes: mergeNames(analyses.map(a => a.themes)).slice(0, MAX_MERGED_THEMES),
+    summary: null,
+    chunkSummaries: [...new Set(analyses.map(a => a.summary).filter(s => typeof s === 'string' && s.trim()))],
+    genre: mostCommon(analyses.map(a => a.genre)),
+    notesFrom: analyses.map(a => a.notesFrom).find(n => n) || null,
+    actionItems: mergeNames(analyses.map(a => a.actionItems)).slice(0, MAX_MERGED_ITEMS),
+    questions: mergeNames(analyses.map(a => a.questions)).slice(0, MAX_MERGED_ITEMS),
+    structure: analyses.map(a => a.structure).find(s => s) || null,
+    beatCount: beatCounts.length > 0 ? beatCounts.reduce((sum, n) => sum + n, 0) : null
+  };
+}
+
+/**
+ * Merge per-chunk story grids. Each chunk numbers its episodes from 1, so
+ * they are renumbered to follow on from the previous chunk.
+ */
+function mergeStoryGrids(grids) {
+  const merged = { episodes: [], characterActions: {}, themeAppearances: {} };
+
+  for (const grid of grids) {
+    const renumber = {};
+    for (const episode of grid.episodes || []) {
+      const number = merged.episodes.length + 1;
+      renumber[String(episode.number)] = String(number);
+      merged.episodes.push({ ...episode, number });
+    }
+
+    for (const field of ['characterActions', 'themeAppearances']) {
+      for (const [character, cells] of Object.entries(grid[field] || {})) {
+        // Keep the first spelling of each character, matched case-insensitively
+        const key = Object.keys(merged[field]).find(k => k.toLowerCase() === character.toLowerCase()) || character;
+        merged[field][key] = merged[field][key] || {};
+        for (const [episodeNumber, value] of Object.entries(cells || {})) {
+          if (renumber[episodeNumber]) merged[field][key][renumber[episodeNumber]] = value;
+        }
+      }
+    }
+  }
+
+  return merged;
+}
+
+module.exports = {
+  ANALYSIS_MODES,
+  MAX_CHUNKS,
+  splitIntoChunks,
+  sampleText,
+  buildCoverage,
+  mergeAnalyses,
+  mergeStoryGrids
+};
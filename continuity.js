@@ -0,0 +1,288 @@
+/**
+ * Continuity Checking for Larga
+ *
+ * Drafts drift: a character is 34 in the pilot and 36 in the series doc, or
+ * the world's one rule is broken in episode three. A continuity check runs in
+ * two AI passes over a project:
+ *
+ *   1. Each story document's facts (character ages, relationships, locations,
+ *      timeline events, world rules) are extracted with the passage they come
+ *      from. Facts are kept per document with a fingerprint, so unchanged
+ *      documents aren't read again.
+ *   2. Facts about the same subject are compared, and contradictions between
+ *      documents or within one draft become findings citing their passages.
+ *
+ * Findings keep a stable id across checks so they can be tracked: a dismissed
+ * finding stays dismissed, and one that no longer turns up is resolved.
+ *
+ *   const facts = normalizeFacts(value.facts, document);
+ *   const findings = mergeFindings(previous.findings, buildFindings(results, factsById));
+ */
+
+const fs = require('fs-extra');
+const crypto = require('crypto');
+
+const FACT_KINDS = ['age', 'relationship', 'location', 'event', 'worldRule'];
+const FINDING_STATUSES = ['open', 'dismissed', 'resolved'];
+
+// Feedback and paperwork aren't part of the story, so their facts aren't checked
+const EXCLUDED_DOCUMENT_TYPES = ['notes', 'sessionNotes', 'quickNote', 'legal'];
+
+// Most facts sent to the contradiction pass in one request
+const MAX_FACTS_PER_CHECK = 120;
+
+const FACTS_SCHEMA = {
+  type: 'object',
+  required: ['facts'],
+  properties: {
+    facts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['kind', 'subject', 'value'],
+        properties: {
+          kind: { type: 'string', enum: FACT_KINDS },
+          subject: { type: 'string' },
+          attribute: { type: ['string', 'null'] },
+          value: { type: 'string' },
+          quote: { type: ['string', 'null'] }
+        }
+      }
+    }
+  }
+};
+
+const CONTRADICTIONS_SCHEMA = {
+  type: 'object',
+  required: ['findings'],
+  properties: {
+    findings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['factIds', 'summary'],
+        properties: {
+          factIds: { type: 'array', items: { type: 'string' } },
+          summary: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').slice(0, 10);
+}
+
+function normalizeKey(value) {
+  return (value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Load a project's continuity data ({ documents: {}, findings: [] } when none yet)
+ */
+async function loadContinuity(continuityPath) {
+  if (!(await fs.pathExists(continuityPath))) {
+    return { documents: {}, findings: [], checkedAt: null };
+  }
+  const data = await fs.readJSON(continuityPath);
+  return { documents: data.documents || {}, findings: data.findings || [], checkedAt: data.checkedAt || null };
+}
+
+async function saveContinuity(continuityPath, data) {
+  await fs.writeJSON(continuityPath, data, { spaces: 2 });
+}
+
+/**
+ * Whether a document's facts take part in continuity checks
+ */
+function isStoryDocument(document) {
+  return !EXCLUDED_DOCUMENT_TYPES.includes(document.type);
+}
+
+/**
+ * Give extracted facts stable ids and drop duplicates (the same fact found
+ * in two parts of a document)
+ */
+function normalizeFacts(rawFacts, document) {
+  const facts = new Map();
+  for (const raw of rawFacts) {
+    const subject = (raw.subject || '').trim();
+    const value = (raw.value || '').trim();
+    if (!subject || !value) continue;
+
+    const attribute = raw.attribute ? raw.attribute.trim() : null;
+    const id = `${document.id}-${hash([raw.kind, subject, attribute, value].map(normalizeKey).join('|'))}`;
+    if (!facts.has(id)) {
+      facts.set(id, { id, documentId: document.id, kind: raw.kind, subject, attribute, value, quote: raw.quote || null });
+    }
+  }
+  return [...facts.values()];
+}
+
+// Split a subject with too many facts for one request into blocks of half a
+// batch, and pair every block with every other, so each two of its facts are
+// still sent together in some batch
+function splitLargeGroup(group, maxFacts) {
+  const size = Math.max(1, Math.floor(maxFacts / 2));
+  const blocks = [];
+  for (let start = 0; start < group.length; start += size) {
+    blocks.push(group.slice(start, start + size));
+  }
+
+  const batches = [];
+  for (let i = 0; i < blocks.length; i++) {
+    for (let j = i + 1; j < blocks.length; j++) {
+      batches.push([...blocks[i], ...blocks[j]]);
+    }
+  }
+  return batches;
+}
+
+/**
+ * Split facts into batches for the contradiction pass. Facts are grouped by
+ * subject (resolve subjects onto the character bible first, so "John" and
+ * "John Smith" are compared), subjects with a single fact are left out
+ * (nothing to contradict), and a subject's facts stay in the same batch.
+ * Subjects with more than maxFacts facts get batches of their own.
+ */
+function groupFactsForCheck(facts, maxFacts = MAX_FACTS_PER_CHECK) {
+  const bySubject = new Map();
+  for (const fact of facts) {
+    const key = normalizeKey(fact.subject);
+    if (!bySubject.has(key)) bySubject.set(key, []);
+    bySubject.get(key).push(fact);
+  }
+
+  const batches = [];
+  let current = [];
+  for (const group of bySubject.values()) {
+    if (group.length < 2) continue;
+    if (group.length > maxFacts) {
+      batches.push(...splitLargeGroup(group, maxFacts));
+      continue;
+    }
+    if (current.length > 0 && current.length + group.length > maxFacts) {
+      batches.push(current);
+      current = [];
+    }
+    current.push(...group);
+  }
+  if (current.length > 0) batches.push(current);
+  return batches;
+}
+
+/**
+ * List facts for the contradiction prompt, one per line with their id and source
+ */
+function formatFactsForPrompt(facts, documentsById) {
+  return facts.map(fact => {
+    const source = documentsById[fact.documentId]?.filename || fact.documentId;
+    const what = fact.attribute ? `${fact.subject} / ${fact.attribute}` : fact.subject;
+    return `- [${fact.id}] (${source}) ${fact.kind}: ${what} = ${fact.value}${fact.quote ? ` — "${fact.quote}"` : ''}`;
+  }).join('\n');
+}
+
+/**
+ * Turn the contradiction pass's results into findings citing their facts.
+ * Unknown fact ids are ignored, and a finding needs two facts to stand.
+ */
+function buildFindings(results, factsById, documentsById) {
+  const findings = new Map();
+  for (const result of results) {
+    const facts = [...new Set(result.factIds)].map(id => factsById.get(id)).filter(fact => fact);
+    if (facts.length < 2) continue;
+
+    const factIds = facts.map(fact => fact.id).sort();
+    const id = hash(factIds.join(','));
+    if (findings.has(id)) continue;
+
+    const documentIds = [...new Set(facts.map(fact => fact.documentId))];
+    findings.set(id, {
+      id,
+      kind: facts[0].kind,
+      subject: facts[0].subject,
+      summary: result.summary,
+      scope: documentIds.length === 1 ? 'withinDocument' : 'acrossDocuments',
+      factIds,
+      citations: facts.map(fact => ({
+        documentId: fact.documentId,
+        filename: documentsById[fact.documentId]?.filename || null,
+        value: fact.value,
+        quote: fact.quote
+      }))
+    });
+  }
+  return [...findings.values()];
+}
+
+/**
+ * Combine a check's findings with the previous ones: findings seen before keep
+ * their status (dismissed stays dismissed, resolved reopens), new ones are
+ * open, and open findings that no longer turn up are resolved.
+ */
+function mergeFindings(previous, current, now = new Date()) {
+  const at = now.toISOString();
+  const previousById = new Map(previous.map(finding => [finding.id, finding]));
+  const currentIds = new Set(current.map(finding => finding.id));
+
+  const merged = current.map(finding => {
+    const before = previousById.get(finding.id);
+    if (!before) {
+      return { ...finding, status: 'open', firstSeenAt: at, lastSeenAt: at, dismissedAt: null, dismissReason: null, resolvedAt: null };
+    }
+    return {
+      ...before,
+      ...finding,
+      status: before.status === 'dismissed' ? 'dismissed' : 'open',
+      lastSeenAt: at,
+      resolvedAt: null
+    };
+  });
+
+  for (const finding of previous) {
+    if (currentIds.has(finding.id)) continue;
+    merged.push(finding.status === 'open' ? { ...finding, status: 'resolved', resolvedAt: at } : finding);
+  }
+
+  return merged;
+}
+
+/**
+ * Validate a finding update ({ status: 'open' | 'dismissed', reason }).
+ * Returns a list of error messages.
+ */
+function validateFindingUpdate(update) {
+  const errors = [];
+  if (!['open', 'dismissed'].includes(update.status)) {
+    errors.push('status must be open or dismissed');
+  }
+  if (update.reason !== undefined && update.reason !== null && typeof update.reason !== 'string') {
+    errors.push('reason must be a string or null');
+  }
+  return errors;
+}
+
+function applyFindingUpdate(finding, update, now = new Date()) {
+  if (update.status === 'dismissed') {
+    return { ...finding, status: 'dismissed', dismissedAt: now.toISOString(), dismissReason: update.reason?.trim() || null };
+  }
+  return { ...finding, status: 'open', dismissedAt: null, dismissReason: null };
+}
+
+module.exports = {
+  FACT_KINDS,
+  FINDING_STATUSES,
+  FACTS_SCHEMA,
+  CONTRADICTIONS_SCHEMA,
+  loadContinuity,
+  saveContinuity,
+  isStoryDocument,
+  normalizeFacts,
+  groupFactsForCheck,
+  formatFactsForPrompt,
+  buildFindings,
+  mergeFindings,
+  validateFindingUpdate,
+  applyFindingUpdate
+};
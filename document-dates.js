@@ -0,0 +1,255 @@
+/**
+ * Document Date Detection for Larga
+ *
+ * Works out when a document was written, from (in order of preference) a date
+ * in the filename, the file's own metadata (DOCX core properties, PDF info
+ * dictionary), or the upload time. The source is recorded so fallback dates
+ * can be flagged on the timeline.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const JSZip = require('jszip');
+const pdfParse = require('pdf-parse');
+
+/**
+ * Where a document's date came from
+ */
+const DATE_SOURCES = ['filename', 'metadata', 'upload', 'manual'];
+
+/**
+ * Day/month ordering for ambiguous numeric dates like 08-10-2022
+ */
+const DATE_ORDERS = ['us', 'dayFirst'];
+
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const SEP = '[\\s_.-]+';
+
+/**
+ * Filename date patterns, most specific first. Underscores are word
+ * characters, so digit/letter lookarounds are used instead of \b.
+ * Each pattern's parse() returns [year, month (1-12), day], or an array of
+ * candidate orderings when the pattern is ambiguous.
+ */
+const FILENAME_DATE_PATTERNS = [
+  {
+    name: 'yyyy-mm-dd',
+    regex: /(?<!\d)(\d{4})[_.-](\d{1,2})[_.-](\d{1,2})(?!\d)/,
+    parse: m => [m[1], m[2], m[3]]
+  },
+  {
+    name: 'month-day-year',
+    regex: new RegExp(`(?<![a-z])${MONTH_NAME}\\.?${SEP}(\\d{1,2})(?:st|nd|rd|th)?,?${SEP}(\\d{4}|\\d{2})(?!\\d)`, 'i'),
+    parse: m => [m[3], monthNumber(m[1]), m[2]]
+  },
+  {
+    name: 'day-month-year',
+    regex: new RegExp(`(?<!\\d)(\\d{1,2})(?:st|nd|rd|th)?${SEP}${MONTH_NAME}\\.?,?${SEP}(\\d{4}|\\d{2})(?!\\d)`, 'i'),
+    parse: m => [m[3], monthNumber(m[2]), m[1]]
+  },
+  {
+    name: 'month-year',
+    regex: new RegExp(`(?<![a-z])${MONTH_NAME}\\.?,?${SEP}(\\d{4})(?!\\d)`, 'i'),
+    parse: m => [m[2], monthNumber(m[1]), 1]
+  },
+  {
+    // 08-10-2022: ambiguous, ordered by the project's date order
+    name: 'numeric-year-last',
+    regex: /(?<!\d)(\d{1,2})[_.-](\d{1,2})[_.-](\d{4})(?!\d)/,
+    parse: (m, dateOrder) => dateOrder === 'dayFirst'
+      ? [[m[3], m[2], m[1]], [m[3], m[1], m[2]]]
+      : [[m[3], m[1], m[2]], [m[3], m[2], m[1]]]
+  },
+  {
+    name: 'yyyymmdd',
+    regex: /(?<!\d)(\d{4})(\d{2})(\d{2})(?!\d)/,
+    parse: m => [m[1], m[2], m[3]]
+  },
+  // Two-digit year first, as in "22_08_10_Shares_Pitch.docx"
+  {
+    name: 'yy_mm_dd',
+    regex: /(\d{2})_(\d{2})_(\d{2})/,
+    parse: m => [`20${m[1]}`, m[2], m[3]]
+  },
+  {
+    name: 'yymmdd',
+    regex: /(\d{2})(\d{2})(\d{2})/,
+    parse: m => [`20${m[1]}`, m[2], m[3]]
+  },
+  {
+    name: 'yy.mm.dd',
+    regex: /(\d{2})\.(\d{2})\.(\d{2})/,
+    parse: m => [`20${m[1]}`, m[2], m[3]]
+  }
+];
+
+/**
+ * Convert a month name or abbreviation to its number (1-12)
+ */
+function monthNumber(name) {
+  return MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+}
+
+/**
+ * Build a local date, rejecting impossible dates (month 13, Feb 30) and
+ * implausible years
+ */
+function buildDate(year, month, day) {
+  let y = parseInt(year, 10);
+  if (String(year).length === 2) y += 2000;
+  const m = parseInt(month, 10);
+  const d = parseInt(day, 10);
+
+  if (y < 1970 || y > 2100 || m < 1 || m > 12 || d < 1 || d > 31) return null;
+
+  const date = new Date(y, m - 1, d);
+  if (date.getMonth() !== m - 1 || date.getDate() !== d) return null;
+  return date;
+}
+
+/**
+ * Find a date in a filename.
+ * Returns { date, pattern } or null when the filename has no recognisable date.
+ */
+function parseFilenameDate(filename, options = {}) {
+  const { dateOrder = 'us' } = options;
+  const name = path.parse(filename).name;
+
+  for (const pattern of FILENAME_DATE_PATTERNS) {
+    const match = name.match(pattern.regex);
+    if (!match) continue;
+
+    const parsed = pattern.parse(match, dateOrder);
+    const candidates = Array.isArray(parsed[0]) ? parsed : [parsed];
+
+    // An ambiguous date that's only valid one way round (13-08-2022) is
+    // read that way, whatever the project's date order
+    for (const [year, month, day] of candidates) {
+      const date = buildDate(year, month, day);
+      if (date) return { date, pattern: pattern.name };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Remove anything parseFilenameDate would read as a date from a filename
+ */
+function stripFilenameDates(filename) {
+  return FILENAME_DATE_PATTERNS.reduce(
+    (name, pattern) => name.replace(new RegExp(pattern.regex.source, `${pattern.regex.flags}g`), ' '),
+    filename
+  );
+}
+
+/**
+ * Parse a PDF date string ("D:20220810143000+01'00'")
+ */
+function parsePdfDate(value) {
+  const match = String(value || '').match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?/);
+  if (!match) return null;
+  return buildDate(match[1], match[2] || 1, match[3] || 1);
+}
+
+/**
+ * Parse a W3CDTF date from DOCX core properties ("2022-08-10T14:30:00Z").
+ * Only the calendar date is kept, so the timeline shows the day it was saved.
+ */
+function parseW3cDate(value) {
+  const match = String(value || '').match(/(\d{4})-(\d{2})-(\d{2})/);
+  return match ? buildDate(match[1], match[2], match[3]) : null;
+}
+
+/**
+ * Read the modified/created date from DOCX core properties (docProps/core.xml).
+ * Last-modified is preferred: Word keeps the original creation date through
+ * "Save As", so a new draft saved from an old one would look old.
+ */
+async function readDocxMetadataDate(filePath) {
+  const zip = await JSZip.loadAsync(await fs.readFile(filePath));
+  const core = zip.file('docProps/core.xml');
+  if (!core) return null;
+
+  const xml = await core.async('string');
+  for (const field of ['modified', 'created']) {
+    const match = xml.match(new RegExp(`<dcterms:${field}[^>]*>([^<]+)</dcterms:${field}>`));
+    const date = match ? parseW3cDate(match[1]) : null;
+    if (date) return { date, field: `docx:${field}` };
+  }
+  return null;
+}
+
+/**
+ * Read the creation/modification date from the PDF info dictionary
+ */
+async function readPdfMetadataDate(filePath) {
+  const data = await pdfParse(await fs.readFile(filePath), { max: 1 });
+  const info = data.info || {};
+
+  for (const [key, field] of [['CreationDate', 'pdf:created'], ['ModDate', 'pdf:modified']]) {
+    const date = parsePdfDate(info[key]);
+    if (date) return { date, field };
+  }
+  return null;
+}
+
+/**
+ * Read a date from the file's own metadata, if the format has any.
+ * Returns { date, field } or null; unreadable files are treated as having none.
+ */
+async function readMetadataDate(filePath, filename) {
+  const ext = path.extname(filename).toLowerCase();
+
+  try {
+    if (ext === '.docx') return await readDocxMetadataDate(filePath);
+    if (ext === '.pdf') return await readPdfMetadataDate(filePath);
+  } catch (error) {
+    console.warn(`Could not read metadata date from ${filename}:`, error.message);
+  }
+  return null;
+}
+
+/**
+ * Parse a manually entered date: "2022-08-10" (read as a local calendar date,
+ * like filename dates) or a full ISO timestamp. Returns null if invalid.
+ */
+function parseManualDate(value) {
+  if (typeof value !== 'string') return null;
+
+  const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) return buildDate(match[1], match[2], match[3]);
+
+  const date = new Date(value);
+  return /^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(date) ? date : null;
+}
+
+/**
+ * Work out a document's date and where it came from.
+ * Returns { date, dateSource, dateDetail } where dateDetail is the filename
+ * pattern or metadata field used (null for the upload-time fallback).
+ */
+async function detectDocumentDate(filePath, filename, options = {}) {
+  const fromFilename = parseFilenameDate(filename, options);
+  if (fromFilename) {
+    return { date: fromFilename.date, dateSource: 'filename', dateDetail: fromFilename.pattern };
+  }
+
+  const fromMetadata = await readMetadataDate(filePath, filename);
+  if (fromMetadata) {
+    return { date: fromMetadata.date, dateSource: 'metadata', dateDetail: fromMetadata.field };
+  }
+
+  return { date: new Date(), dateSource: 'upload', dateDetail: null };
+}
+
+module.exports = {
+  DATE_SOURCES,
+  DATE_ORDERS,
+  parseFilenameDate,
+  stripFilenameDates,
+  parseManualDate,
+  readMetadataDate,
+  detectDocumentDate
+};
@@ -5,6 +5,8 @@
  * their characteristics, and what content to expect in each.
  */
 
+const { SCENE_HEADING_PATTERN } = require('./screenplay');
+
 const DOCUMENT_TYPES = {
   // ========================================
   // UNCLASSIFIED (Needs AI analysis)
@@ -121,7 +123,8 @@ const DOCUMENT_TYPES = {
     filenameKeywords: ['pilot', 'episode 1', 'ep1', 'ep 1'],
     contentKeywords: ['int.', 'ext.', 'fade in', 'fade out'],
     typicalWordCount: { min: 8000, max: 15000 },
-    priority: 3
+    priority: 3,
+    isScript: true // Parsed into scenes/dialogue for character statistics
   },
 
   draft: {
@@ -137,7 +140,8 @@ const DOCUMENT_TYPES = {
     filenameKeywords: ['draft', 'revision', 'version', 'v1', 'v2', 'v3'],
     contentKeywords: ['int.', 'ext.', 'fade'],
     typicalWordCount: { min: 8000, max: 15000 },
-    priority: 3
+    priority: 3,
+    isScript: true
   },
 
   trimmedDraft: {
@@ -152,7 +156,8 @@ const DOCUMENT_TYPES = {
     filenameKeywords: ['trimmed', 'cut', 'shortened'],
     contentKeywords: ['int.', 'ext.'],
     typicalWordCount: { min: 6000, max: 12000 },
-    priority: 3
+    priority: 3,
+    isScript: true
   },
 
   // ========================================
@@ -366,7 +371,7 @@ const DOCUMENT_TYPES = {
 
 /**
  * Classification priority order (highest to lowest)
- * Documents are checked in this order, first match wins
+ * Used to break ties between equally scored types
  */
 const CLASSIFICATION_ORDER = [
   'legal',           // Check first (very distinct keywords)
@@ -390,62 +395,358 @@ const CLASSIFICATION_ORDER = [
 ];
 
 /**
- * Classify a document based on filename and content
+ * Fields a project can set on a custom document type
  */
-function classifyDocument(filename, text) {
-  const lowerFilename = filename.toLowerCase();
-  const lowerText = text.toLowerCase();
-  const wordCount = text.split(/\s+/).filter(w => w.length > 0).length;
+const CUSTOM_TYPE_FIELDS = [
+  'name',
+  'description',
+  'color',
+  'textColor',
+  'expectedContent',
+  'filenameKeywords',
+  'contentKeywords',
+  'typicalWordCount'
+];
+
+/**
+ * Validate a project's custom document type definition.
+ * Returns a list of error messages (empty when valid).
+ */
+function validateCustomDocumentType(key, definition) {
+  const errors = [];
+
+  if (!key || !/^[a-zA-Z][a-zA-Z0-9]*$/.test(key)) {
+    errors.push('key must start with a letter and contain only letters and numbers');
+  } else if (DOCUMENT_TYPES[key]) {
+    errors.push(`"${key}" is a built-in document type`);
+  }
+
+  if (!definition || typeof definition.name !== 'string' || !definition.name.trim()) {
+    errors.push('name is required');
+    return errors;
+  }
+
+  for (const field of ['color', 'textColor']) {
+    if (definition[field] && !/^#[0-9a-fA-F]{3}([0-9a-fA-F]{3})?$/.test(definition[field])) {
+      errors.push(`${field} must be a hex color like #fef3c7`);
+    }
+  }
 
-  // Check each type in priority order
-  for (const typeKey of CLASSIFICATION_ORDER) {
-    const type = DOCUMENT_TYPES[typeKey];
-
-    // Check filename keywords
-    if (type.filenameKeywords.length > 0) {
-      const filenameMatch = type.filenameKeywords.some(keyword =>
-        lowerFilename.includes(keyword.toLowerCase())
-      );
-      if (filenameMatch) {
-        return typeKey;
-      }
+  for (const field of ['expectedContent', 'filenameKeywords', 'contentKeywords']) {
+    const value = definition[field];
+    if (value !== undefined && !(Array.isArray(value) && value.every(item => typeof item === 'string'))) {
+      errors.push(`${field} must be an array of strings`);
     }
+  }
+
+  const range = definition.typicalWordCount;
+  if (range !== undefined) {
+    const { min, max } = range || {};
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max < min) {
+      errors.push('typicalWordCount must be { min, max } with 0 <= min <= max');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Fill in defaults for a (validated) custom document type
+ */
+function normalizeCustomDocumentType(definition) {
+  const type = {};
+  CUSTOM_TYPE_FIELDS.forEach(field => {
+    if (definition[field] !== undefined) type[field] = definition[field];
+  });
+
+  return {
+    description: '',
+    color: '#fafafa',
+    expectedContent: [],
+    filenameKeywords: [],
+    contentKeywords: [],
+    typicalWordCount: { min: 0, max: 999999 },
+    ...type,
+    name: definition.name.trim(),
+    priority: 1,
+    isCustom: true
+  };
+}
+
+/**
+ * Merge a project's custom document types with the built-ins.
+ * Custom types can only add new keys; built-ins always win.
+ */
+function getDocumentTypes(customTypes = {}) {
+  const custom = {};
+  Object.entries(customTypes || {}).forEach(([key, definition]) => {
+    if (validateCustomDocumentType(key, definition).length === 0) {
+      custom[key] = normalizeCustomDocumentType(definition);
+    }
+  });
+  return { ...DOCUMENT_TYPES, ...custom };
+}
+
+/**
+ * Classification order for a set of document types: project-specific custom
+ * types first (they're the most specific), then the built-in order
+ */
+function getClassificationOrder(documentTypes = DOCUMENT_TYPES) {
+  const customKeys = Object.keys(documentTypes).filter(key => documentTypes[key].isCustom);
+  return [...customKeys, ...CLASSIFICATION_ORDER];
+}
+
+/**
+ * Minimum confidence for the top candidate to be used as the document type.
+ * Anything below stays unclassified for review (or AI classification).
+ */
+const CONFIDENCE_THRESHOLD = 0.5;
+
+/**
+ * Minimum raw score for the top candidate; a document with no real evidence
+ * for any type is never classified, however the scores compare.
+ */
+const MIN_CLASSIFICATION_SCORE = 2;
+
+/**
+ * Number of ranked candidates stored on a document
+ */
+const CANDIDATE_COUNT = 3;
+
+/**
+ * Split a filename into lowercase word tokens, ignoring the extension,
+ * dates/numbers and very short fragments ("Mgmt_notes_22_09.docx" -> mgmt, notes)
+ */
+function getFilenameTokens(filename) {
+  return filename
+    .replace(/\.[^.]+$/, '')
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(token => token.length >= 3);
+}
 
-    // Check content keywords (if provided)
-    if (type.contentKeywords.length > 0) {
-      const contentMatch = type.contentKeywords.some(keyword =>
-        lowerText.includes(keyword.toLowerCase())
-      );
-      if (contentMatch) {
-        // Verify word count is reasonable for this type
-        if (wordCount >= (type.typicalWordCount?.min || 0)) {
-          return typeKey;
-        }
-      }
+/**
+ * Number of agreeing corrections needed before a filename token is learned
+ */
+const MIN_LEARNED_CORRECTIONS = 2;
+
+/**
+ * Tokens in more than this share of a project's filenames (the show's name,
+ * the writer's initials) say nothing about the type and are never learned
+ */
+const COMMON_TOKEN_SHARE = 0.5;
+
+/**
+ * Learn filename patterns from a project's manual type corrections.
+ * A token becomes a pattern for a type when at least MIN_LEARNED_CORRECTIONS
+ * corrections whose filename contains it were corrected to that type, and
+ * none to another. Tokens that are already filename keywords of a known type
+ * are skipped (the classifier knows them), as are tokens common to most of
+ * the project's filenames.
+ * Returns [{ pattern, type, count }] sorted by count.
+ */
+function learnFilenamePatterns(corrections = [], documentTypes = DOCUMENT_TYPES, projectFilenames = []) {
+  const knownKeywords = new Set(
+    Object.values(documentTypes).flatMap(type => type.filenameKeywords.map(k => k.toLowerCase()))
+  );
+  const tokenFiles = {};
+  for (const filename of projectFilenames) {
+    for (const token of new Set(getFilenameTokens(filename))) {
+      tokenFiles[token] = (tokenFiles[token] || 0) + 1;
     }
+  }
+  const isCommon = token => projectFilenames.length > 0 &&
+    (tokenFiles[token] || 0) / projectFilenames.length > COMMON_TOKEN_SHARE;
+  const tokenTypes = {};
+
+  for (const correction of corrections) {
+    if (!correction.toType || correction.toType === 'unclassified') continue;
 
-    // Special case for quickNote: very small RTF files with just date in name
-    if (typeKey === 'quickNote' && wordCount < 500 && filename.endsWith('.rtf')) {
-      // If filename is mostly just a date pattern, it's a quick note
-      const datePattern = /\d{6,8}/;
-      const hasDateOnly = datePattern.test(filename) && filename.replace(/[\d._\s-]/g, '').length < 10;
-      if (hasDateOnly) {
-        return 'quickNote';
-      }
+    for (const token of new Set(getFilenameTokens(correction.filename))) {
+      if (knownKeywords.has(token) || isCommon(token)) continue;
+      if (!tokenTypes[token]) tokenTypes[token] = {};
+      tokenTypes[token][correction.toType] = (tokenTypes[token][correction.toType] || 0) + 1;
     }
   }
 
-  // Default fallback
-  if (wordCount < 500) return 'quickNote';
-  if (wordCount < 2000) return 'sessionNotes';
-  return 'pitch'; // Default to pitch for substantial documents
+  return Object.entries(tokenTypes)
+    .filter(([, types]) => Object.keys(types).length === 1)
+    .map(([pattern, types]) => {
+      const [type, count] = Object.entries(types)[0];
+      return { pattern, type, count };
+    })
+    .filter(learned => learned.count >= MIN_LEARNED_CORRECTIONS)
+    .sort((a, b) => b.count - a.count || a.pattern.localeCompare(b.pattern));
+}
+
+/**
+ * Count case-insensitive occurrences of a keyword in text
+ */
+function countOccurrences(lowerText, keyword) {
+  const needle = keyword.toLowerCase();
+  let count = 0;
+  let index = lowerText.indexOf(needle);
+  while (index !== -1) {
+    count++;
+    index = lowerText.indexOf(needle, index + needle.length);
+  }
+  return count;
+}
+
+/**
+ * Measure how much a text looks like a formatted screenplay (0-1),
+ * from scene headings per 1000 words and the share of character-cue lines.
+ * Documents parsed from .fountain/.fdx are always treated as screenplays.
+ */
+function getScreenplaySignal(text, wordCount, screenplay) {
+  if (screenplay && screenplay.elements && screenplay.elements.length > 0) return 1;
+  if (wordCount === 0) return 0;
+
+  const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+  const sceneHeadings = lines.filter(line =>
+    SCENE_HEADING_PATTERN.test(line.replace(/^\d+[A-Z]?\.?\s+/, '')) && line === line.toUpperCase()
+  ).length;
+  const cueLines = lines.filter(line =>
+    line.length <= 40 && /[A-Z]/.test(line) && line === line.toUpperCase() && !/[.!?:]$/.test(line)
+  ).length;
+
+  const headingScore = Math.min(1, (sceneHeadings / wordCount) * 1000 / 3);
+  const cueScore = lines.length > 0 ? Math.min(1, (cueLines / lines.length) / 0.15) : 0;
+
+  return headingScore * 0.7 + cueScore * 0.3;
+}
+
+/**
+ * Score how well a word count fits a type's typical range:
+ * +1 inside the range, a growing penalty (up to -2) the further outside it is
+ */
+function scoreWordCountFit(wordCount, typicalWordCount) {
+  const { min = 0, max = Infinity } = typicalWordCount || {};
+  if (wordCount >= min && wordCount <= max) return 1;
+
+  const distance = wordCount < min
+    ? (min - wordCount) / min
+    : (wordCount - max) / max;
+  return -Math.min(2, distance * 2);
+}
+
+/**
+ * Score a single document type against a document, returning the score and
+ * the signals that contributed to it
+ */
+function scoreDocumentType(typeKey, type, document) {
+  const { filename, normalizedFilename, filenameTokens, learnedPatterns, lowerText, wordCount, screenplaySignal } = document;
+  const signals = {};
+
+  // Filename keywords are the strongest signal (the writer named the file)
+  const filenameHits = type.filenameKeywords.filter(keyword =>
+    normalizedFilename.includes(keyword.toLowerCase())
+  );
+  signals.filename = filenameHits.length > 0 ? 3 + (filenameHits.length - 1) * 0.5 : 0;
+
+  // Filename patterns learned from this project's manual corrections count
+  // more the more corrections agree, up to the weight of a built-in keyword
+  const learnedCount = learnedPatterns
+    .filter(learned => learned.type === typeKey && filenameTokens.includes(learned.pattern))
+    .reduce((sum, learned) => sum + learned.count, 0);
+  signals.learned = learnedCount > 0 ? Math.min(3, 2 + (learnedCount - 1) * 0.5) : 0;
+
+  // Content keywords are weighed by frequency per 1000 words, so a single
+  // passing mention counts for little (short texts are measured as if they
+  // had 500 words, so one hit in a two-line note isn't a high frequency)
+  if (type.contentKeywords.length > 0 && wordCount > 0) {
+    const perThousand = type.contentKeywords
+      .map(keyword => countOccurrences(lowerText, keyword) / Math.max(wordCount, 500) * 1000);
+    const matched = perThousand.filter(rate => rate > 0).length;
+    const total = perThousand.reduce((sum, rate) => sum + Math.log2(1 + rate), 0);
+    signals.content = Math.min(3, total * (matched / type.contentKeywords.length + 0.5));
+  } else {
+    signals.content = 0;
+  }
+
+  signals.wordCount = scoreWordCountFit(wordCount, type.typicalWordCount);
+
+  // Screenplay formatting favours script types and counts against the rest
+  signals.screenplay = type.isScript ? screenplaySignal * 4 : -screenplaySignal * 3;
+
+  // Quick notes: very small RTF files named with little more than a date
+  signals.quickNote = 0;
+  if (typeKey === 'quickNote' && wordCount < 500 && filename.toLowerCase().endsWith('.rtf')) {
+    const hasDateOnly = /\d{6,8}/.test(filename) && filename.replace(/[\d._\s-]/g, '').length < 10;
+    if (hasDateOnly) signals.quickNote = 3;
+  }
+
+  const score = Object.values(signals).reduce((sum, value) => sum + value, 0);
+  return { score, signals };
+}
+
+/**
+ * Rank every document type for a document.
+ * Returns candidates sorted by score, each with a confidence (softmax over
+ * all scores, so confidences sum to 1). Classification order breaks ties.
+ *
+ * Options:
+ * - screenplay: parsed structure for .fountain/.fdx documents
+ * - learnedPatterns: from learnFilenamePatterns() for the document's project
+ * - documentTypes: from getDocumentTypes() when the project has custom types
+ */
+function rankDocumentTypes(filename, text, options = {}) {
+  const { screenplay = null, learnedPatterns = [], documentTypes = DOCUMENT_TYPES } = options;
+  const order = getClassificationOrder(documentTypes);
+  const wordCount = text.split(/\s+/).filter(w => w.length > 0).length;
+  const document = {
+    filename,
+    // Treat separators as spaces so "Beat_Sheet" matches "beat sheet"
+    normalizedFilename: filename.toLowerCase().replace(/[_.]+/g, ' '),
+    filenameTokens: getFilenameTokens(filename),
+    learnedPatterns,
+    lowerText: text.toLowerCase(),
+    wordCount,
+    screenplaySignal: getScreenplaySignal(text, wordCount, screenplay)
+  };
+
+  const scored = order.map(typeKey => ({
+    type: typeKey,
+    ...scoreDocumentType(typeKey, documentTypes[typeKey], document)
+  }));
+
+  const maxScore = Math.max(...scored.map(c => c.score));
+  const weights = scored.map(c => Math.exp(c.score - maxScore));
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+  return scored
+    .map((candidate, index) => ({
+      type: candidate.type,
+      score: Math.round(candidate.score * 100) / 100,
+      confidence: Math.round(weights[index] / totalWeight * 1000) / 1000,
+      signals: candidate.signals
+    }))
+    .sort((a, b) => b.score - a.score || order.indexOf(a.type) - order.indexOf(b.type));
+}
+
+/**
+ * Classify a document based on filename, content and screenplay formatting.
+ * Returns the chosen type ('unclassified' when confidence is low), its
+ * confidence and the top ranked candidates. Takes the same options as
+ * rankDocumentTypes().
+ */
+function classifyDocument(filename, text, options = {}) {
+  const ranked = rankDocumentTypes(filename, text, options);
+  const top = ranked[0];
+  const confident = top.confidence >= CONFIDENCE_THRESHOLD && top.score >= MIN_CLASSIFICATION_SCORE;
+
+  return {
+    type: confident ? top.type : 'unclassified',
+    confidence: top.confidence,
+    candidates: ranked.slice(0, CANDIDATE_COUNT).map(({ type, confidence, score }) => ({ type, confidence, score }))
+  };
 }
 
 /**
- * Get UI styling for a document type
+ * Get UI styling for a document type (pass getDocumentTypes() for custom types)
  */
-function getDocumentTypeStyle(typeKey) {
-  const type = DOCUMENT_TYPES[typeKey];
+function getDocumentTypeStyle(typeKey, documentTypes = DOCUMENT_TYPES) {
+  const type = documentTypes[typeKey];
   if (!type) return { backgroundColor: '#fafafa', color: '#111', border: '1px solid #e0e0e0' };
 
   // Special border for unclassified documents
@@ -466,6 +767,11 @@ function getDocumentTypeStyle(typeKey) {
 module.exports = {
   DOCUMENT_TYPES,
   CLASSIFICATION_ORDER,
+  CONFIDENCE_THRESHOLD,
+  validateCustomDocumentType,
+  getDocumentTypes,
+  rankDocumentTypes,
   classifyDocument,
+  learnFilenamePatterns,
   getDocumentTypeStyle
 };
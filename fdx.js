@@ -0,0 +1,305 @@
+/**
+ * Final Draft (.fdx) Import/Export for Larga
+ *
+ * Reads Final Draft XML into the structured representation described in
+ * screenplay.js, and writes any stored screenplay structure back out as .fdx
+ * so revised drafts can round-trip.
+ */
+
+const { DOMParser } = require('@xmldom/xmldom');
+const { splitCharacterCue } = require('./screenplay');
+
+// Final Draft paragraph type -> screenplay element type
+const FDX_TO_ELEMENT = {
+  'Scene Heading': 'sceneHeading',
+  'Action': 'action',
+  'General': 'action',
+  'Shot': 'action',
+  'Character': 'character',
+  'Parenthetical': 'parenthetical',
+  'Dialogue': 'dialogue',
+  'Transition': 'transition',
+  'Lyrics': 'lyrics',
+  'New Act': 'section',
+  'End of Act': 'section'
+};
+
+// Screenplay element type -> Final Draft paragraph type
+const ELEMENT_TO_FDX = {
+  sceneHeading: 'Scene Heading',
+  action: 'Action',
+  centered: 'Action',
+  lyrics: 'Action',
+  character: 'Character',
+  parenthetical: 'Parenthetical',
+  dialogue: 'Dialogue',
+  transition: 'Transition',
+  section: 'New Act'
+};
+
+/**
+ * Get direct child elements with a given tag name
+ */
+function childElements(node, tagName) {
+  const children = [];
+  for (let child = node.firstChild; child; child = child.nextSibling) {
+    if (child.nodeType === 1 && child.tagName === tagName) {
+      children.push(child);
+    }
+  }
+  return children;
+}
+
+/**
+ * Concatenate the styled <Text> runs of a paragraph
+ */
+function paragraphText(paragraph) {
+  return childElements(paragraph, 'Text')
+    .map(textNode => textNode.textContent)
+    .join('')
+    .replace(/\r\n?/g, '\n')
+    .trim();
+}
+
+/**
+ * Convert one FDX paragraph into a screenplay element (or null to skip it)
+ */
+function paragraphToElement(paragraph, dual) {
+  const fdxType = paragraph.getAttribute('Type');
+  const text = paragraphText(paragraph);
+  let type = FDX_TO_ELEMENT[fdxType] || 'action';
+
+  if (!text) return null;
+
+  if (type === 'action' && paragraph.getAttribute('Alignment') === 'Center') {
+    type = 'centered';
+  }
+
+  switch (type) {
+    case 'sceneHeading':
+      return { type, text: text.toUpperCase(), sceneNumber: paragraph.getAttribute('Number') || null };
+
+    case 'character':
+      return { type, ...splitCharacterCue(text), dual };
+
+    case 'section':
+      return fdxType === 'End of Act' ? null : { type, text, depth: 1 };
+
+    default:
+      return { type, text };
+  }
+}
+
+/**
+ * Parse the title page paragraphs into title page fields
+ */
+function parseTitlePage(doc) {
+  const titlePage = {};
+  const titlePageNode = doc.getElementsByTagName('TitlePage')[0];
+  if (!titlePageNode) return titlePage;
+
+  const lines = Array.from(titlePageNode.getElementsByTagName('Paragraph'))
+    .map(paragraphText)
+    .filter(line => line.length > 0);
+
+  if (lines.length === 0) return titlePage;
+
+  titlePage.title = lines.shift();
+
+  const creditIndex = lines.findIndex(line => /^(written\s+)?by$/i.test(line));
+  if (creditIndex !== -1) {
+    titlePage.credit = lines[creditIndex];
+    if (lines[creditIndex + 1]) titlePage.author = lines[creditIndex + 1];
+    lines.splice(creditIndex, 2);
+  }
+
+  if (lines.length > 0) {
+    titlePage.notes = lines.join('\n');
+  }
+
+  return titlePage;
+}
+
+/**
+ * Parse Final Draft XML into a screenplay structure
+ */
+function parseFdx(xml) {
+  const errors = [];
+  const doc = new DOMParser({
+    errorHandler: {
+      warning: () => {},
+      error: (msg) => errors.push(msg),
+      fatalError: (msg) => errors.push(msg)
+    }
+  }).parseFromString(xml, 'text/xml');
+
+  const root = doc.documentElement;
+  if (!root || root.tagName !== 'FinalDraft' || errors.length > 0) {
+    throw new Error(`Not a valid Final Draft file${errors.length > 0 ? `: ${errors[0]}` : ''}`);
+  }
+
+  const content = childElements(root, 'Content')[0];
+  const elements = [];
+
+  if (content) {
+    for (const paragraph of childElements(content, 'Paragraph')) {
+      const dualDialogue = childElements(paragraph, 'DualDialogue')[0];
+
+      if (dualDialogue) {
+        // The second speaker in a dual dialogue block is flagged, as in Fountain (^)
+        let characterCount = 0;
+        for (const inner of childElements(dualDialogue, 'Paragraph')) {
+          if (inner.getAttribute('Type') === 'Character') characterCount++;
+          const element = paragraphToElement(inner, characterCount > 1);
+          if (element) elements.push(element);
+        }
+        continue;
+      }
+
+      if (paragraph.getAttribute('StartsNewPage') === 'Yes' && elements.length > 0) {
+        elements.push({ type: 'pageBreak', text: '' });
+      }
+
+      const element = paragraphToElement(paragraph, false);
+      if (element) elements.push(element);
+    }
+  }
+
+  return {
+    format: 'fdx',
+    titlePage: parseTitlePage(doc),
+    elements
+  };
+}
+
+/**
+ * Escape text for inclusion in XML
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a single <Paragraph>
+ */
+function renderParagraph(type, text, attributes = {}) {
+  const attrs = Object.entries({ Type: type, ...attributes })
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+  return `<Paragraph${attrs}>\n  <Text>${escapeXml(text)}</Text>\n</Paragraph>`;
+}
+
+/**
+ * Indent a rendered XML fragment's tag lines. Continuation lines of multi-line
+ * <Text> are left alone (text is escaped, so it has no "<" of its own).
+ */
+function indent(xml, spaces) {
+  return xml.replace(/^(?=\s*<)/gm, ' '.repeat(spaces));
+}
+
+/**
+ * Render a screenplay element as a <Paragraph> (or null if it has no FDX equivalent)
+ */
+function elementToParagraph(element, startsNewPage) {
+  const fdxType = ELEMENT_TO_FDX[element.type];
+  if (!fdxType) return null; // Synopses have no Final Draft equivalent
+  if (element.type === 'section' && element.depth > 1) return null;
+
+  const text = element.type === 'character' && element.extension
+    ? `${element.text} (${element.extension})`
+    : element.text;
+
+  return renderParagraph(fdxType, text, {
+    Number: element.type === 'sceneHeading' ? element.sceneNumber : null,
+    Alignment: element.type === 'centered' ? 'Center' : null,
+    StartsNewPage: startsNewPage ? 'Yes' : null
+  });
+}
+
+/**
+ * Write a screenplay structure out as Final Draft XML
+ */
+function screenplayToFdx(screenplay) {
+  // Group character cues with their parentheticals and dialogue so dual
+  // dialogue blocks can be wrapped together
+  const blocks = [];
+  for (const element of screenplay.elements) {
+    const current = blocks[blocks.length - 1];
+    const continuesDialogue = ['parenthetical', 'dialogue'].includes(element.type) &&
+      current && current.isDialogue;
+
+    if (continuesDialogue) {
+      current.elements.push(element);
+    } else {
+      blocks.push({ isDialogue: element.type === 'character', elements: [element] });
+    }
+  }
+
+  const paragraphs = [];
+  let startsNewPage = false;
+  let previousDialogue = null; // Rendered paragraphs of the last dialogue block
+
+  for (const block of blocks) {
+    const first = block.elements[0];
+
+    if (first.type === 'pageBreak') {
+      startsNewPage = true;
+      continue;
+    }
+
+    const rendered = block.elements
+      .map((element, index) => elementToParagraph(element, startsNewPage && index === 0))
+      .filter(paragraph => paragraph);
+    if (rendered.length === 0) continue;
+    startsNewPage = false;
+
+    if (block.isDialogue && first.dual && previousDialogue) {
+      paragraphs.splice(paragraphs.length - previousDialogue.length, previousDialogue.length);
+      paragraphs.push([
+        '<Paragraph>',
+        '  <DualDialogue>',
+        ...[...previousDialogue, ...rendered].map(paragraph => indent(paragraph, 4)),
+        '  </DualDialogue>',
+        '</Paragraph>'
+      ].join('\n'));
+      previousDialogue = null;
+    } else {
+      paragraphs.push(...rendered);
+      previousDialogue = block.isDialogue ? rendered : null;
+    }
+  }
+
+  const titlePage = screenplay.titlePage || {};
+  const titleLines = [titlePage.title, titlePage.credit, titlePage.author]
+    .filter(line => line)
+    .map(line => renderParagraph('Action', line, { Alignment: 'Center' }));
+  const otherLines = Object.entries(titlePage)
+    .filter(([key, value]) => !['title', 'credit', 'author'].includes(key) && value)
+    .flatMap(([, value]) => String(value).split('\n'))
+    .map(line => renderParagraph('Action', line));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no" ?>',
+    '<FinalDraft DocumentType="Script" Template="No" Version="5">',
+    '  <Content>',
+    ...paragraphs.map(paragraph => indent(paragraph, 4)),
+    '  </Content>',
+    '  <TitlePage>',
+    '    <Content>',
+    ...[...titleLines, ...otherLines].map(paragraph => indent(paragraph, 6)),
+    '    </Content>',
+    '  </TitlePage>',
+    '</FinalDraft>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  parseFdx,
+  screenplayToFdx
+};
@@ -0,0 +1,245 @@
+/**
+ * Fountain Screenplay Parser for Larga
+ *
+ * Parses Fountain (https://fountain.io) plain-text screenplays into the
+ * structured representation described in screenplay.js.
+ */
+
+const { SCENE_HEADING_PATTERN, splitCharacterCue } = require('./screenplay');
+
+const SCENE_NUMBER_PATTERN = /\s*#([\w.-]+)#\s*$/;
+const TITLE_PAGE_KEY_PATTERN = /^([A-Za-z][A-Za-z ]*):\s*(.*)$/;
+
+// Keys a title page can start with, so a script opening with "FADE IN:" isn't
+// read as a title page
+const TITLE_PAGE_KEYS = ['title', 'credit', 'author', 'authors', 'source', 'draft date', 'date',
+  'contact', 'copyright', 'notes', 'revision'];
+
+/**
+ * Convert a title page key to camelCase ("Draft date" -> "draftDate")
+ */
+function normalizeTitleKey(key) {
+  return key.trim()
+    .toLowerCase()
+    .replace(/\s+(\w)/g, (_, c) => c.toUpperCase());
+}
+
+/**
+ * Remove boneyard and [[note]] blocks, which are never part of the script
+ */
+function stripComments(source) {
+  return source
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/\[\[[\s\S]*?\]\]/g, '');
+}
+
+/**
+ * Parse the optional title page at the top of the file.
+ * Returns the title page and the index of the first body line.
+ */
+function parseTitlePage(lines) {
+  const titlePage = {};
+
+  const firstKey = (lines[0] || '').match(TITLE_PAGE_KEY_PATTERN);
+  if (!firstKey || !TITLE_PAGE_KEYS.includes(firstKey[1].trim().toLowerCase().replace(/\s+/g, ' '))) {
+    return { titlePage, bodyStart: 0 };
+  }
+
+  let currentKey = null;
+  let i = 0;
+
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.trim() === '') break;
+
+    const keyMatch = line.match(TITLE_PAGE_KEY_PATTERN);
+    if (keyMatch && !/^(\s{3,}|\t)/.test(line)) {
+      currentKey = normalizeTitleKey(keyMatch[1]);
+      titlePage[currentKey] = keyMatch[2].trim();
+    } else if (currentKey) {
+      // Indented continuation lines belong to the previous key
+      titlePage[currentKey] = [titlePage[currentKey], line.trim()].filter(v => v).join('\n');
+    }
+  }
+
+  return { titlePage, bodyStart: i };
+}
+
+/**
+ * Check whether a line looks like a character cue (all caps, at least one letter)
+ */
+function isCharacterCue(line) {
+  const name = line.replace(/\^$/, '').replace(/\(.*\)\s*$/, '').trim();
+  return name.length > 0 && /[A-Z]/.test(name) && name === name.toUpperCase();
+}
+
+/**
+ * Build a character element from a cue line
+ */
+function parseCharacterCue(line) {
+  let cue = line.trim();
+  const dual = cue.endsWith('^');
+  if (dual) cue = cue.slice(0, -1).trim();
+
+  return { type: 'character', ...splitCharacterCue(cue), dual };
+}
+
+/**
+ * Build a scene heading element, pulling out an optional #scene number#
+ */
+function parseSceneHeading(line) {
+  let text = line.trim();
+  let sceneNumber = null;
+
+  const numberMatch = text.match(SCENE_NUMBER_PATTERN);
+  if (numberMatch) {
+    sceneNumber = numberMatch[1];
+    text = text.replace(SCENE_NUMBER_PATTERN, '');
+  }
+
+  return { type: 'sceneHeading', text: text.toUpperCase(), sceneNumber };
+}
+
+/**
+ * Parse Fountain source text into a screenplay structure
+ */
+function parseFountain(source) {
+  const lines = stripComments(source.replace(/\r\n?/g, '\n')).split('\n');
+  const { titlePage, bodyStart } = parseTitlePage(lines);
+  const elements = [];
+
+  let actionLines = [];
+  const flushAction = () => {
+    if (actionLines.length > 0) {
+      elements.push({ type: 'action', text: actionLines.join('\n') });
+      actionLines = [];
+    }
+  };
+
+  let i = bodyStart;
+  while (i < lines.length) {
+    const line = lines[i];
+    const trimmed = line.trim();
+    const prevBlank = i === bodyStart || lines[i - 1].trim() === '';
+    const nextLine = i + 1 < lines.length ? lines[i + 1].trim() : '';
+    const nextBlank = nextLine === '';
+
+    if (trimmed === '') {
+      flushAction();
+      i++;
+      continue;
+    }
+
+    // Page break
+    if (/^={3,}$/.test(trimmed)) {
+      flushAction();
+      elements.push({ type: 'pageBreak', text: '' });
+      i++;
+      continue;
+    }
+
+    // Section (# Act One) and synopsis (= ...)
+    if (trimmed.startsWith('#')) {
+      flushAction();
+      const depth = trimmed.match(/^#+/)[0].length;
+      elements.push({ type: 'section', text: trimmed.slice(depth).trim(), depth });
+      i++;
+      continue;
+    }
+    if (trimmed.startsWith('=')) {
+      flushAction();
+      elements.push({ type: 'synopsis', text: trimmed.slice(1).trim() });
+      i++;
+      continue;
+    }
+
+    // Forced action
+    if (trimmed.startsWith('!')) {
+      actionLines.push(trimmed.slice(1));
+      i++;
+      continue;
+    }
+
+    // Lyrics
+    if (trimmed.startsWith('~')) {
+      flushAction();
+      elements.push({ type: 'lyrics', text: trimmed.slice(1).trim() });
+      i++;
+      continue;
+    }
+
+    // Centered text (> THE END <) and forced transitions (> CUT TO BLACK.)
+    if (trimmed.startsWith('>')) {
+      flushAction();
+      if (trimmed.endsWith('<')) {
+        elements.push({ type: 'centered', text: trimmed.slice(1, -1).trim() });
+      } else {
+        elements.push({ type: 'transition', text: trimmed.slice(1).trim() });
+      }
+      i++;
+      continue;
+    }
+
+    // Scene headings (forced with a leading period)
+    const forcedHeading = trimmed.startsWith('.') && !trimmed.startsWith('..');
+    if (prevBlank && (forcedHeading || SCENE_HEADING_PATTERN.test(trimmed))) {
+      flushAction();
+      elements.push(parseSceneHeading(forcedHeading ? trimmed.slice(1) : trimmed));
+      i++;
+      continue;
+    }
+
+    // Transitions: uppercase, ending in "TO:" (or FADE IN:/FADE OUT.), surrounded by blank lines
+    if (prevBlank && nextBlank && trimmed === trimmed.toUpperCase() && /(TO:|^FADE IN:|^FADE OUT\.?)$/.test(trimmed)) {
+      flushAction();
+      elements.push({ type: 'transition', text: trimmed });
+      i++;
+      continue;
+    }
+
+    // Character cue followed by dialogue (forced with a leading @)
+    const forcedCharacter = trimmed.startsWith('@');
+    if (prevBlank && !nextBlank && (forcedCharacter || isCharacterCue(trimmed))) {
+      flushAction();
+      elements.push(parseCharacterCue(forcedCharacter ? trimmed.slice(1) : trimmed));
+      i++;
+
+      let dialogueLines = [];
+      const flushDialogue = () => {
+        if (dialogueLines.length > 0) {
+          elements.push({ type: 'dialogue', text: dialogueLines.join('\n') });
+          dialogueLines = [];
+        }
+      };
+
+      while (i < lines.length && lines[i].trim() !== '') {
+        const dialogueLine = lines[i].trim();
+        if (dialogueLine.startsWith('(') && dialogueLine.endsWith(')')) {
+          flushDialogue();
+          elements.push({ type: 'parenthetical', text: dialogueLine });
+        } else {
+          dialogueLines.push(dialogueLine);
+        }
+        i++;
+      }
+      flushDialogue();
+      continue;
+    }
+
+    // Everything else is action
+    actionLines.push(trimmed);
+    i++;
+  }
+
+  flushAction();
+
+  return {
+    format: 'fountain',
+    titlePage,
+    elements
+  };
+}
+
+module.exports = {
+  parseFountain
+};
@@ -0,0 +1,414 @@
+/**
+ * Heuristic AI Provider for Larga
+ *
+ * A deterministic, offline stand-in for a language model. It answers the same
+ * tasks as the AI providers (analysis, classification, comparison briefs,
+ * story grids, notes and continuity checks, relationships) from the
+ * structured context each call supplies, using the screenplay parser, the
+ * local classifier and simple text statistics.
+ * Nothing leaves the machine, and the same input always gives the same output.
+ */
+
+const {
+  parseScreenplayText,
+  buildScreenplayModel,
+  getCharacterStats,
+  countNameMentions
+} = require('./screenplay');
+const { DOCUMENT_TYPES, rankDocumentTypes } = require('./document-types');
+
+const MODEL_NAME = 'larga/heuristic';
+
+// Capitalised words that are never character names
+const NON_NAMES = new Set([
+  'The', 'A', 'An', 'And', 'But', 'Or', 'So', 'If', 'Then', 'When', 'While', 'After', 'Before',
+  'He', 'She', 'They', 'We', 'I', 'You', 'It', 'His', 'Her', 'Their', 'Our', 'My', 'Your', 'Its',
+  'This', 'That', 'These', 'Those', 'There', 'Here', 'What', 'Why', 'How', 'Who', 'Where',
+  'In', 'On', 'At', 'Of', 'To', 'For', 'With', 'From', 'By', 'As', 'Into', 'Over', 'Under',
+  'Act', 'Scene', 'Episode', 'Season', 'Series', 'Pilot', 'Draft', 'Int', 'Ext', 'Day', 'Night',
+  'Cut', 'Fade', 'Continuous', 'Later', 'Mr', 'Mrs', 'Ms', 'Dr', 'Yes', 'No', 'Ok', 'Okay',
+  'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday',
+  'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September',
+  'October', 'November', 'December', 'God', 'Netflix', 'HBO', 'Amazon'
+]);
+
+const GENRE_KEYWORDS = {
+  comedy: ['funny', 'joke', 'laugh', 'comedy', 'comedic', 'sitcom', 'hilarious'],
+  thriller: ['murder', 'detective', 'chase', 'gun', 'thriller', 'suspect', 'killer'],
+  horror: ['blood', 'scream', 'monster', 'horror', 'ghost', 'demon', 'haunted'],
+  'sci-fi': ['planet', 'spaceship', 'robot', 'alien', 'future', 'android', 'galaxy'],
+  fantasy: ['magic', 'dragon', 'kingdom', 'spell', 'wizard', 'sword', 'prophecy'],
+  romance: ['kiss', 'romance', 'romantic', 'wedding', 'boyfriend', 'girlfriend'],
+  drama: ['family', 'grief', 'struggle', 'drama', 'dramatic', 'loss', 'divorce']
+};
+
+const MAX_CHARACTERS = 15;
+const MAX_LIST_ITEMS = 10;
+const MAX_GRID_EPISODES = 12;
+
+/**
+ * Split text into sentences (good enough for prose and notes)
+ */
+function splitSentences(text) {
+  return text
+    .replace(/\s+/g, ' ')
+    .split(/(?<=[.!?])\s+(?=[A-Z0-9"'(])/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length > 0);
+}
+
+/**
+ * Shorten a sentence for display
+ */
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1).trimEnd()}…` : text;
+}
+
+/**
+ * Title-case a screenplay cue ("DOCTOR LARRY" -> "Doctor Larry")
+ */
+function titleCase(name) {
+  return name.toLowerCase().replace(/\b\w/g, c => c.toUpperCase());
+}
+
+/**
+ * Check whether text is formatted as a screenplay
+ */
+function looksLikeScreenplay(text, typeInfo) {
+  if (typeInfo?.isScript) return true;
+  return (text.match(/^\s*(\d+[A-Z]?\.?\s+)?(INT|EXT)[.\s]/gm) || []).length >= 3;
+}
+
+/**
+ * Find character names: speaking characters for scripts, otherwise
+ * capitalised names that recur mid-sentence (so ordinary sentence-initial
+ * words don't count)
+ */
+function findCharacters(text, typeInfo) {
+  if (looksLikeScreenplay(text, typeInfo)) {
+    const stats = getCharacterStats(buildScreenplayModel(parseScreenplayText(text)));
+    if (stats.length > 0) {
+      return stats.slice(0, MAX_CHARACTERS).map(character => titleCase(character.name));
+    }
+  }
+
+  const counts = {};
+  const pattern = /(?<=[a-z,;:]\s)([A-Z][a-z]+(?:\s[A-Z][a-z]+)?)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const name = match[1].split(' ').filter(word => !NON_NAMES.has(word)).join(' ');
+    if (name) counts[name] = (counts[name] || 0) + 1;
+  }
+
+  return Object.entries(counts)
+    .filter(([, count]) => count >= 2)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_CHARACTERS)
+    .map(([name]) => name);
+}
+
+/**
+ * Guess the genre from keyword counts (null without clear evidence)
+ */
+function guessGenre(text) {
+  const lowerText = text.toLowerCase();
+  const scores = Object.entries(GENRE_KEYWORDS).map(([genre, keywords]) => [
+    genre,
+    keywords.reduce((sum, keyword) => sum + countNameMentions(lowerText, keyword), 0)
+  ]);
+  const [genre, score] = scores.sort((a, b) => b[1] - a[1])[0];
+  return score >= 3 ? genre : null;
+}
+
+/**
+ * Document analysis: characters, themes, summary, genre and the
+ * type-specific fields the AI prompts ask for
+ */
+function analyze(context) {
+  const { text, documentType, typeInfo, themes = [] } = context;
+  const wordCount = text.split(/\s+/).filter(w => w.length > 0).length;
+  const characters = findCharacters(text, typeInfo);
+  const sentences = splitSentences(text);
+
+  const opening = sentences.find(sentence => sentence.split(' ').length >= 6);
+  const cast = characters.length > 0
+    ? ` featuring ${characters.slice(0, 3).join(', ')}`
+    : '';
+  const summary = `${typeInfo?.name || 'Document'} of ${wordCount.toLocaleString('en-US')} words${cast}.` +
+    (opening ? ` Opens: "${truncate(opening, 160)}"` : '');
+
+  const analysis = {
+    characters,
+    themes: themes.slice(0, 5),
+    summary,
+    genre: guessGenre(text)
+  };
+
+  if (documentType === 'notes') {
+    const notesFrom = text.match(/^\s*(?:notes\s+)?from[:\s]+(.+)$/im);
+    analysis.notesFrom = notesFrom ? notesFrom[1].trim() : null;
+    analysis.actionItems = sentences
+      .filter(sentence => /\b(should|need(s)? to|must|consider|could we|would like|cut|lose|add)\b/i.test(sentence))
+      .slice(0, MAX_LIST_ITEMS);
+  }
+
+  if (documentType === 'sessionNotes' || documentType === 'quickNote') {
+    analysis.questions = sentences.filter(sentence => sentence.endsWith('?')).slice(0, MAX_LIST_ITEMS);
+  }
+
+  if (documentType === 'beatSheet') {
+    const sections = context.sections || [];
+    analysis.structure = sections.length > 0
+      ? `${sections.length} sections: ${sections.slice(0, 6).map(s => s.title).join(', ')}`
+      : null;
+    analysis.beatCount = (text.match(/^\s*(\d+[.)]|[-*•])\s+/gm) || []).length || sections.length;
+  }
+
+  return analysis;
+}
+
+/**
+ * Document type classification using the local scoring classifier
+ */
+function classify(context) {
+  const { filename, text, documentTypes = DOCUMENT_TYPES } = context;
+  const [top] = rankDocumentTypes(filename, text, { documentTypes });
+  return top.type;
+}
+
+/**
+ * Comparison brief assembled from the comparison statistics
+ */
+function compareBrief(context) {
+  const { doc1, doc2, stats } = context;
+  const change = stats.wordCountChange;
+  const percent = doc1.wordCount > 0 ? Math.round(Math.abs(change) / doc1.wordCount * 100) : 0;
+  const list = items => items.length > 0 ? items.join(', ') : 'none';
+
+  const what = change === 0
+    ? `${doc2.filename} keeps the same length as ${doc1.filename} (${doc2.wordCount.toLocaleString('en-US')} words).`
+    : `${doc2.filename} ${change > 0 ? 'expands' : 'trims'} ${doc1.filename} by ${Math.abs(change).toLocaleString('en-US')} words (${percent}%).`;
+
+  const cast = `Characters added: ${list(stats.newCharacters)}. Characters removed: ${list(stats.removedCharacters)}. ` +
+    `Themes added: ${list(stats.newThemes)}. Themes dropped: ${list(stats.removedThemes)}.`;
+
+  const structure = `Sections added: ${list(stats.newSections.map(s => s.title).slice(0, 8))}. ` +
+    `Sections removed: ${list(stats.removedSections.map(s => s.title).slice(0, 8))}.`;
+
+  return [
+    `${what} ${cast}`,
+    structure,
+    'This brief was generated by the offline heuristic provider from document statistics; switch the project to an AI provider for an interpretive brief.'
+  ].join('\n\n');
+}
+
+/**
+ * Story grid: sections grouped into at most MAX_GRID_EPISODES episodes, with
+ * each character's first mention in an episode as their action
+ */
+function storyGrid(context) {
+  const { text, characters = [], themes = [] } = context;
+  let sections = (context.sections || []).filter(section => section.content);
+
+  if (sections.length === 0) {
+    sections = [{ title: 'Document', content: text }];
+  }
+
+  const groupSize = Math.ceil(sections.length / MAX_GRID_EPISODES);
+  const episodes = [];
+  const episodeTexts = [];
+  for (let i = 0; i < sections.length; i += groupSize) {
+    const group = sections.slice(i, i + groupSize);
+    episodes.push({
+      number: episodes.length + 1,
+      title: group.length > 1 ? `${group[0].title} – ${group[group.length - 1].title}` : group[0].title
+    });
+    episodeTexts.push(group.map(section => section.content).join('\n'));
+  }
+
+  const characterActions = {};
+  const themeAppearances = {};
+
+  for (const character of characters) {
+    episodeTexts.forEach((episodeText, index) => {
+      const mentions = splitSentences(episodeText).filter(sentence => countNameMentions(sentence, character) > 0);
+      if (mentions.length === 0) return;
+
+      const number = String(index + 1);
+      if (!characterActions[character]) characterActions[character] = {};
+      characterActions[character][number] = truncate(mentions[0], 200);
+
+      const mentionedThemes = themes.filter(theme => mentions.some(sentence => countNameMentions(sentence, theme) > 0));
+      if (mentionedThemes.length > 0) {
+        if (!themeAppearances[character]) themeAppearances[character] = {};
+        themeAppearances[character][number] = mentionedThemes;
+      }
+    });
+  }
+
+  return { episodes, characterActions, themeAppearances };
+}
+
+/**
+ * Notes check: a note counts as addressed when most of its distinctive words
+ * (five letters or more) appear in the same sentence of the draft
+ */
+function notesCheck(context) {
+  const { text = '', items = [] } = context;
+  const sentences = splitSentences(text).map(sentence => ({ sentence, lower: sentence.toLowerCase() }));
+
+  const results = items.map(item => {
+    const words = [...new Set(item.text.toLowerCase().match(/[a-z']{5,}/g) || [])];
+    if (words.length === 0) return { id: item.id, addressed: false, evidence: null };
+
+    let best = null;
+    let bestCount = 0;
+    for (const { sentence, lower } of sentences) {
+      const count = words.filter(word => lower.includes(word)).length;
+      if (count > bestCount) {
+        best = sentence;
+        bestCount = count;
+      }
+    }
+
+    const addressed = bestCount / words.length >= 0.6;
+    return { id: item.id, addressed, evidence: addressed ? truncate(best, 200) : null };
+  });
+
+  return { results };
+}
+
+// "BO (34)", "Bo, 34," and "Bo is 34 years old"
+const AGE_PATTERNS = [
+  /\b([A-Z][A-Za-z]+)\s+\((\d{1,3})\)/g,
+  /\b([A-Z][a-z]+),\s+(\d{1,3}),/g,
+  /\b([A-Z][a-z]+) is (\d{1,3}) years old\b/g
+];
+
+// Relationship words and their relationship type
+const RELATIONSHIP_WORDS = {
+  wife: 'romantic', husband: 'romantic', boyfriend: 'romantic', girlfriend: 'romantic', partner: 'romantic',
+  brother: 'family', sister: 'family', mother: 'family', father: 'family', son: 'family', daughter: 'family',
+  cousin: 'family', uncle: 'family', aunt: 'family',
+  rival: 'rivalry', enemy: 'rivalry',
+  boss: 'employer', employee: 'employer', assistant: 'employer',
+  friend: 'friendship'
+};
+
+// "Max's wife Bo" / "Max's wife, Bo"
+const RELATIONSHIP_PATTERN = new RegExp(`\\b([A-Z][a-z]+)'s (${Object.keys(RELATIONSHIP_WORDS).join('|')}),? ([A-Z][a-z]+)\\b`, 'g');
+
+/**
+ * Continuity facts: character ages and relationships stated in set phrasings
+ */
+function continuityFacts(context) {
+  const { text = '' } = context;
+  const facts = [];
+
+  for (const sentence of splitSentences(text)) {
+    for (const pattern of AGE_PATTERNS) {
+      for (const match of sentence.matchAll(pattern)) {
+        if (NON_NAMES.has(titleCase(match[1]))) continue;
+        facts.push({ kind: 'age', subject: titleCase(match[1]), attribute: null, value: match[2], quote: truncate(sentence, 200) });
+      }
+    }
+    for (const match of sentence.matchAll(RELATIONSHIP_PATTERN)) {
+      facts.push({ kind: 'relationship', subject: match[3], attribute: match[1], value: match[2], quote: truncate(sentence, 200) });
+    }
+  }
+
+  return { facts };
+}
+
+/**
+ * Continuity check: facts of the same kind about the same subject (and
+ * attribute) with different values contradict each other
+ */
+function continuityCheck(context) {
+  const { facts = [] } = context;
+  const groups = new Map();
+  for (const fact of facts) {
+    const key = [fact.kind, fact.subject, fact.attribute || ''].join('|').toLowerCase();
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(fact);
+  }
+
+  const findings = [];
+  for (const group of groups.values()) {
+    const values = [...new Set(group.map(fact => fact.value.toLowerCase()))];
+    if (values.length < 2) continue;
+    const { kind, subject, attribute } = group[0];
+    const what = kind === 'age' ? `${subject}'s age` : `${subject}'s ${kind}${attribute ? ` to ${attribute}` : ''}`;
+    findings.push({
+      factIds: group.map(fact => fact.id),
+      summary: `${what} is given as ${values.map(value => `"${value}"`).join(' and ')}.`
+    });
+  }
+
+  return { findings };
+}
+
+/**
+ * Relationships between characters stated in set phrasings ("Max's wife Bo").
+ * For "Max's boss Bo", Bo is the employer.
+ */
+function relationships(context) {
+  const { text = '' } = context;
+  const found = [];
+
+  for (const sentence of splitSentences(text)) {
+    for (const [, owner, word, other] of sentence.matchAll(RELATIONSHIP_PATTERN)) {
+      const type = RELATIONSHIP_WORDS[word];
+      const [from, to] = word === 'boss' ? [other, owner] : [owner, other];
+      found.push({ from, to, type, label: word, quote: truncate(sentence, 200) });
+    }
+  }
+
+  return { relationships: found };
+}
+
+/**
+ * Summary of a chunked analysis: the first part's summary, since the
+ * heuristic summaries are templates rather than prose
+ */
+function mergeSummaries(context) {
+  const { summaries = [] } = context;
+  return summaries[0] || '';
+}
+
+const TASKS = {
+  analyze: context => JSON.stringify(analyze(context)),
+  classify,
+  compareBrief,
+  mergeSummaries,
+  storyGrid: context => JSON.stringify(storyGrid(context)),
+  notesCheck: context => JSON.stringify(notesCheck(context)),
+  continuityFacts: context => JSON.stringify(continuityFacts(context)),
+  continuityCheck: context => JSON.stringify(continuityCheck(context)),
+  relationships: context => JSON.stringify(relationships(context))
+};
+
+/**
+ * Create the heuristic provider
+ */
+function createHeuristicProvider() {
+  return {
+    type: 'heuristic',
+    name: 'Built-in heuristics (offline)',
+    available: true,
+    offline: true,
+    unlimitedInput: true, // Reads the whole document, so long texts are never chunked
+
+    async complete(request) {
+      const task = TASKS[request.task];
+      if (!task) {
+        throw new Error(`The heuristic provider does not support "${request.task}" requests`);
+      }
+      return { content: task(request.context || {}), model: MODEL_NAME, usage: null };
+    }
+  };
+}
+
+module.exports = {
+  createHeuristicProvider
+};
@@ -0,0 +1,259 @@
+/**
+ * Background Job Queue for Larga
+ *
+ * AI work (analysis, story grids, classification, comparison briefs) runs as
+ * background jobs, so a slow model call doesn't tie up the browser and a page
+ * refresh doesn't lose the result. Jobs are stored per project in jobs.json,
+ * run one at a time per project in the order they were queued (projects don't
+ * wait on each other), and survive restarts: jobs that were running when the
+ * server stopped are queued again on startup.
+ *
+ *   const queue = createJobQueue({ getJobsPath, listProjectIds, handlers });
+ *   const job = await queue.enqueue('shares', 'analyze', { documentId: '123' });
+ *   const unsubscribe = queue.subscribe('shares', job => console.log(job.status));
+ *
+ * A handler is async (job, { signal, reportProgress }) => result. It should
+ * stop when signal is aborted (the job was cancelled), and can call
+ * reportProgress(completed, total, message) to update subscribers.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+// Finished jobs kept per project (oldest are dropped first)
+const MAX_FINISHED_JOBS = 100;
+
+/**
+ * Create a job queue.
+ * getJobsPath(projectId) gives the project's jobs.json path, listProjectIds()
+ * lists projects to restore on startup, and handlers maps job types to handlers.
+ */
+function createJobQueue({ getJobsPath, listProjectIds, handlers }) {
+  const projects = new Map(); // projectId -> jobs, loaded on first use
+  const writes = new Map(); // projectId -> last pending write
+  const listeners = new Map(); // projectId -> Set of subscriber callbacks
+  const controllers = new Map(); // running job id -> AbortController
+  const draining = new Set(); // projects whose queue is being worked through
+
+  async function loadJobs(projectId) {
+    if (!projects.has(projectId)) {
+      const jobsPath = getJobsPath(projectId);
+      const data = await fs.pathExists(jobsPath) ? await fs.readJSON(jobsPath) : { jobs: [] };
+      if (!projects.has(projectId)) projects.set(projectId, data.jobs || []);
+    }
+    return projects.get(projectId);
+  }
+
+  // Writes are chained per project so they land in order; nothing is written
+  // for a project that has been deleted in the meantime
+  function saveJobs(projectId) {
+    const jobsPath = getJobsPath(projectId);
+    const previous = writes.get(projectId) || Promise.resolve();
+    const write = previous.then(async () => {
+      if (!projects.has(projectId) || !(await fs.pathExists(path.dirname(jobsPath)))) return;
+      await fs.writeJSON(jobsPath, { jobs: projects.get(projectId) }, { spaces: 2 });
+    }).catch(error => {
+      console.error(`Failed to save jobs for ${projectId}:`, error.message);
+    });
+    writes.set(projectId, write);
+    return write;
+  }
+
+  function publish(job) {
+    for (const listener of listeners.get(job.projectId) || []) {
+      try {
+        listener(job);
+      } catch (error) {
+        console.error('Job listener error:', error.message);
+      }
+    }
+  }
+
+  async function update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    publish(job);
+    await saveJobs(job.projectId);
+  }
+
+  // Drop the oldest finished jobs beyond MAX_FINISHED_JOBS
+  function prune(jobs) {
+    const finished = jobs.filter(job => !ACTIVE_STATUSES.includes(job.status));
+    const excess = new Set(finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)));
+    return jobs.filter(job => !excess.has(job));
+  }
+
+  async function enqueue(projectId, type, params = {}) {
+    if (!handlers[type]) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      projectId,
+      type,
+      params,
+      status: 'queued',
+      progress: null,
+      result: null,
+      error: null,
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null
+    };
+
+    const jobs = await loadJobs(projectId);
+    jobs.push(job);
+    projects.set(projectId, prune(jobs));
+    publish(job);
+    await saveJobs(projectId);
+
+    drain(projectId);
+    return job;
+  }
+
+  async function list(projectId, options = {}) {
+    const jobs = await loadJobs(projectId);
+    return options.status ? jobs.filter(job => job.status === options.status) : jobs;
+  }
+
+  async function get(projectId, jobId) {
+    const jobs = await loadJobs(projectId);
+    return jobs.find(job => job.id === jobId) || null;
+  }
+
+  // Queued jobs are cancelled straight away; running jobs are aborted and
+  // marked cancelled once their handler stops
+  async function cancel(job) {
+    if (job.status === 'queued') {
+      await update(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+    } else if (controllers.has(job.id)) {
+      controllers.get(job.id).abort();
+    }
+    return job;
+  }
+
+  // Queue a failed or cancelled job again with the same parameters
+  async function retry(job) {
+    await update(job, {
+      status: 'queued',
+      progress: null,
+      result: null,
+      error: null,
+      startedAt: null,
+      finishedAt: null
+    });
+    drain(job.projectId);
+    return job;
+  }
+
+  function subscribe(projectId, listener) {
+    if (!listeners.has(projectId)) listeners.set(projectId, new Set());
+    listeners.get(projectId).add(listener);
+    return () => listeners.get(projectId).delete(listener);
+  }
+
+  // Forget a deleted project's jobs, stopping any that are running
+  function forgetProject(projectId) {
+    for (const job of projects.get(projectId) || []) {
+      if (controllers.has(job.id)) controllers.get(job.id).abort();
+    }
+    projects.delete(projectId);
+  }
+
+  // Oldest queued job in a project
+  function nextJob(projectId) {
+    let next = null;
+    for (const job of projects.get(projectId) || []) {
+      if (job.status === 'queued' && (!next || job.createdAt < next.createdAt)) next = job;
+    }
+    return next;
+  }
+
+  async function run(job) {
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    await update(job, {
+      status: 'running',
+      attempts: job.attempts + 1,
+      startedAt: new Date().toISOString()
+    });
+
+    const reportProgress = (completed, total, message = null) => {
+      update(job, { progress: { completed, total, message } });
+    };
+
+    try {
+      const result = await handlers[job.type](job, { signal: controller.signal, reportProgress });
+      if (controller.signal.aborted) throw new Error('Job cancelled');
+      await update(job, { status: 'completed', result: result ?? null, finishedAt: new Date().toISOString() });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        await update(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+      } else {
+        console.error(`Job ${job.type} (${job.id}) failed:`, error.message);
+        await update(job, { status: 'failed', error: error.message, finishedAt: new Date().toISOString() });
+      }
+    } finally {
+      controllers.delete(job.id);
+    }
+  }
+
+  // Each project works through its own queue, so a slow job only holds up
+  // the project it belongs to
+  async function drain(projectId) {
+    if (draining.has(projectId)) return;
+    draining.add(projectId);
+    try {
+      let job;
+      while ((job = nextJob(projectId))) {
+        await run(job);
+      }
+    } finally {
+      draining.delete(projectId);
+    }
+  }
+
+  // Load every project's jobs and requeue any interrupted by a restart
+  async function restore() {
+    let requeued = 0;
+    for (const projectId of await listProjectIds()) {
+      try {
+        const jobs = await loadJobs(projectId);
+        const interrupted = jobs.filter(job => job.status === 'running');
+        for (const job of interrupted) {
+          job.status = 'queued';
+          job.progress = null;
+        }
+        if (interrupted.length > 0) await saveJobs(projectId);
+        requeued += jobs.filter(job => job.status === 'queued').length;
+        drain(projectId);
+      } catch (error) {
+        console.warn(`Could not restore jobs for ${projectId}:`, error.message);
+      }
+    }
+    return requeued;
+  }
+
+  return {
+    enqueue,
+    list,
+    get,
+    cancel,
+    retry,
+    subscribe,
+    forgetProject,
+    restore
+  };
+}
+
+module.exports = {
+  JOB_STATUSES,
+  ACTIVE_STATUSES,
+  createJobQueue
+};
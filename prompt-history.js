@@ -0,0 +1,95 @@
+/**
+ * Prompt Version History for Larga
+ *
+ * Saving the settings modal used to overwrite a project's prompts, so there
+ * was no way to tell whether an edit made results better. Every saved change
+ * to a prompt (its text, model or fallback models) becomes a numbered version
+ * in the project's prompt-history.json, and the saved prompt config carries
+ * its version so analyses can record which one produced them:
+ *
+ *   const aiPrompts = await recordPromptVersions(historyPath, existing.aiPrompts, req.body.aiPrompts, DEFAULT_AI_PROMPTS);
+ *   const versions = getPromptVersions(await loadPromptHistory(historyPath), 'notes');
+ *
+ * Versions start at 1; version 0 stands for a prompt that was never edited
+ * (the default) or was saved before history was kept.
+ */
+
+const fs = require('fs-extra');
+
+/**
+ * Load a project's prompt history ({ versions: [] } when there is none yet)
+ */
+async function loadPromptHistory(historyPath) {
+  if (!(await fs.pathExists(historyPath))) {
+    return { versions: [] };
+  }
+  const history = await fs.readJSON(historyPath);
+  return { versions: history.versions || [] };
+}
+
+/**
+ * Whether two prompt configs would run the same prompt on the same models
+ */
+function isSamePrompt(a, b) {
+  if (!a || !b) return false;
+  return a.prompt === b.prompt &&
+    a.model === b.model &&
+    JSON.stringify(a.fallbackModels || []) === JSON.stringify(b.fallbackModels || []);
+}
+
+/**
+ * A prompt's versions, newest first
+ */
+function getPromptVersions(history, key) {
+  return history.versions
+    .filter(entry => entry.key === key)
+    .sort((a, b) => b.version - a.version);
+}
+
+/**
+ * Compare submitted prompt configs with the saved ones (or the defaults),
+ * append a version to the history for each that changed, and return the
+ * submitted configs with their version and updatedAt. Unchanged prompts keep
+ * their current version.
+ */
+async function recordPromptVersions(historyPath, previousPrompts = {}, nextPrompts = {}, defaultPrompts = {}) {
+  const history = await loadPromptHistory(historyPath);
+  const savedAt = new Date().toISOString();
+  const versioned = {};
+  let changed = false;
+
+  for (const [key, config] of Object.entries(nextPrompts)) {
+    const previous = previousPrompts[key] || defaultPrompts[key];
+    const { version, updatedAt, ...prompt } = config; // Versions are assigned here, not by the client
+
+    if (isSamePrompt(previous, prompt)) {
+      versioned[key] = { ...prompt, version: previous.version || 0, updatedAt: previous.updatedAt || null };
+      continue;
+    }
+
+    const latest = getPromptVersions(history, key)[0];
+    const entry = {
+      key,
+      version: (latest?.version || 0) + 1,
+      model: prompt.model,
+      fallbackModels: prompt.fallbackModels || [],
+      prompt: prompt.prompt,
+      savedAt
+    };
+    history.versions.push(entry);
+    versioned[key] = { ...prompt, version: entry.version, updatedAt: savedAt };
+    changed = true;
+  }
+
+  if (changed) {
+    await fs.writeJSON(historyPath, history, { spaces: 2 });
+  }
+  return versioned;
+}
+
+module.exports = {
+  loadPromptHistory,
+  isSamePrompt,
+  getPromptVersions,
+  recordPromptVersions
+};
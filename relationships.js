@@ -0,0 +1,173 @@
+/**
+ * Character Relationships for Larga
+ *
+ * The Story Grid tracks who appears where, not how characters relate. An AI
+ * pass reads a document and lists the relationships between its characters
+ * (family, romantic, rivalry, employer, friendship), which are stored on the
+ * document as document.relationships. Across the timeline, the documents'
+ * relationships form a graph:
+ *
+ *   document.relationships = normalizeRelationships(value.relationships);
+ *   const graph = buildRelationshipGraph(projectData.documents, { until: new Date('2024-03-01') });
+ *
+ * Each edge keeps its history, and the graph lists when relationships began,
+ * changed (e.g. "girlfriend" to "wife") and ended: a relationship ends when a
+ * later document that has both characters no longer lists it.
+ */
+
+const crypto = require('crypto');
+
+const RELATIONSHIP_TYPES = ['family', 'romantic', 'rivalry', 'employer', 'friendship', 'other'];
+
+// Types where the order of the two characters matters: "from" employs "to"
+const DIRECTED_TYPES = ['employer'];
+
+const RELATIONSHIPS_SCHEMA = {
+  type: 'object',
+  required: ['relationships'],
+  properties: {
+    relationships: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['from', 'to', 'type'],
+        properties: {
+          from: { type: 'string' },
+          to: { type: 'string' },
+          type: { type: 'string', enum: RELATIONSHIP_TYPES },
+          label: { type: ['string', 'null'] },
+          quote: { type: ['string', 'null'] }
+        }
+      }
+    }
+  }
+};
+
+function normalizeName(name) {
+  return name.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// The same relationship has the same key in every document, whichever way
+// round an undirected one was listed
+function getRelationshipKey(relationship) {
+  const names = [normalizeName(relationship.from), normalizeName(relationship.to)];
+  if (!DIRECTED_TYPES.includes(relationship.type)) names.sort();
+  return `${relationship.type}:${names.join('|')}`;
+}
+
+/**
+ * Clean up extracted relationships: names are trimmed (and mapped with
+ * resolve, e.g. onto the character bible), undirected relationships list their
+ * characters alphabetically, and self-relationships and duplicates are dropped.
+ */
+function normalizeRelationships(rawRelationships, resolve = name => name) {
+  const relationships = new Map();
+  for (const raw of rawRelationships) {
+    let from = resolve((raw.from || '').trim().replace(/\s+/g, ' '));
+    let to = resolve((raw.to || '').trim().replace(/\s+/g, ' '));
+    if (!from || !to || normalizeName(from) === normalizeName(to)) continue;
+
+    if (!DIRECTED_TYPES.includes(raw.type) && from.localeCompare(to) > 0) {
+      [from, to] = [to, from];
+    }
+    const relationship = { from, to, type: raw.type, label: raw.label?.trim() || null, quote: raw.quote || null };
+    const key = getRelationshipKey(relationship);
+    if (!relationships.has(key)) relationships.set(key, relationship);
+  }
+  return [...relationships.values()];
+}
+
+/**
+ * Build the project's relationship graph from documents whose relationships
+ * have been extracted, in timeline order, optionally only up to a date.
+ * Returns { nodes, edges, changes, documents }: edges carry their history and
+ * whether they are still active, and changes lists every relationship that
+ * was added, changed or ended, with the document it happened in.
+ */
+function buildRelationshipGraph(documents, { until = null } = {}) {
+  const analyzed = documents
+    .filter(document => Array.isArray(document.relationships))
+    .filter(document => !until || new Date(document.date) <= until)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const edges = new Map();
+  const changes = [];
+
+  for (const document of analyzed) {
+    const at = { documentId: document.id, document: document.title || document.filename, date: document.date };
+    const present = new Map(document.relationships.map(relationship => [getRelationshipKey(relationship), relationship]));
+    const characters = new Set([
+      ...(document.characters || []),
+      ...document.relationships.flatMap(relationship => [relationship.from, relationship.to])
+    ].map(normalizeName));
+
+    for (const [key, relationship] of present) {
+      let edge = edges.get(key);
+      if (!edge) {
+        edge = {
+          id: crypto.createHash('sha256').update(key).digest('hex').slice(0, 10),
+          from: relationship.from,
+          to: relationship.to,
+          type: relationship.type,
+          label: null,
+          active: false,
+          firstSeen: at,
+          lastSeen: at,
+          endedAt: null,
+          history: []
+        };
+        edges.set(key, edge);
+      }
+
+      const change = { ...at, edgeId: edge.id, from: edge.from, to: edge.to, type: edge.type, label: relationship.label };
+      if (!edge.active) {
+        changes.push({ ...change, change: 'added' });
+      } else if ((edge.label || '').toLowerCase() !== (relationship.label || '').toLowerCase()) {
+        changes.push({ ...change, change: 'changed', previousLabel: edge.label });
+      }
+
+      Object.assign(edge, { label: relationship.label, active: true, lastSeen: at, endedAt: null });
+      edge.history.push({ ...at, label: relationship.label, quote: relationship.quote });
+    }
+
+    // A relationship ends when a document with both characters no longer has it
+    for (const [key, edge] of edges) {
+      if (!edge.active || present.has(key)) continue;
+      if (characters.has(normalizeName(edge.from)) && characters.has(normalizeName(edge.to))) {
+        edge.active = false;
+        edge.endedAt = at;
+        changes.push({ ...at, edgeId: edge.id, from: edge.from, to: edge.to, type: edge.type, label: edge.label, change: 'ended' });
+      }
+    }
+  }
+
+  const nodes = new Map();
+  for (const edge of edges.values()) {
+    for (const name of [edge.from, edge.to]) {
+      const key = normalizeName(name);
+      if (!nodes.has(key)) nodes.set(key, { name, relationships: 0, activeRelationships: 0 });
+      nodes.get(key).relationships++;
+      if (edge.active) nodes.get(key).activeRelationships++;
+    }
+  }
+
+  return {
+    nodes: [...nodes.values()].sort((a, b) => a.name.localeCompare(b.name)),
+    edges: [...edges.values()],
+    changes,
+    documents: analyzed.map(document => ({
+      id: document.id,
+      filename: document.filename,
+      title: document.title || null,
+      date: document.date,
+      relationshipCount: document.relationships.length
+    }))
+  };
+}
+
+module.exports = {
+  RELATIONSHIP_TYPES,
+  RELATIONSHIPS_SCHEMA,
+  normalizeRelationships,
+  buildRelationshipGraph
+};
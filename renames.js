@@ -0,0 +1,110 @@
+/**
+ * Project-wide Renames for Larga
+ *
+ * Renaming a character used to mean removing and re-adding it on every
+ * document, which lost its Story Grid cells. A rename rewrites every
+ * reference in the project in one pass: a character in characters,
+ * characterActions, sectionActions, themeAppearances, characterOrder and
+ * relationships, or a theme in themes and the theme lists in
+ * themeAppearances. Names are matched case-insensitively, and renaming onto a
+ * name a document already uses combines the two.
+ *
+ *   const changes = planRename(projectData.documents, 'theme', ['grief'], 'loss');
+ *   applyRename(projectData.documents, 'theme', ['grief'], 'loss');
+ *
+ * planRename works on copies, so the same call previews a rename.
+ */
+
+const { CHARACTER_KEYED_FIELDS, normalizeName, rewriteDocumentCharacters } = require('./character-bible');
+
+const RENAME_KINDS = ['character', 'theme'];
+
+// Document fields each kind of rename can change
+const RENAME_FIELDS = {
+  character: ['characters', ...CHARACTER_KEYED_FIELDS, 'characterOrder', 'relationships'],
+  theme: ['themes', 'themeAppearances']
+};
+
+/**
+ * A rename function: names matching any of fromNames become to, others are unchanged
+ */
+function createRenamer(fromNames, to) {
+  const from = new Set(fromNames.map(normalizeName));
+  return name => from.has(normalizeName(name)) ? to : name;
+}
+
+/**
+ * Rewrite a document's themes in place with rename (theme -> new theme),
+ * including the theme lists in its Story Grid. Returns whether anything changed.
+ */
+function rewriteDocumentThemes(document, rename) {
+  const before = JSON.stringify([document.themes, document.themeAppearances]);
+
+  if (Array.isArray(document.themes)) {
+    document.themes = [...new Set(document.themes.map(rename))];
+  }
+  if (document.themeAppearances) {
+    for (const cells of Object.values(document.themeAppearances)) {
+      for (const [key, themes] of Object.entries(cells || {})) {
+        if (Array.isArray(themes)) cells[key] = [...new Set(themes.map(rename))];
+      }
+    }
+  }
+
+  return JSON.stringify([document.themes, document.themeAppearances]) !== before;
+}
+
+function rewriteDocument(document, kind, rename) {
+  return kind === 'character'
+    ? rewriteDocumentCharacters(document, rename)
+    : rewriteDocumentThemes(document, rename);
+}
+
+// Whether a document already uses the new name alongside an old one, so the two are combined
+function isMerge(document, kind, fromNames, to) {
+  const names = kind === 'character' ? document.characters : document.themes;
+  const from = new Set(fromNames.map(normalizeName));
+  return (names || []).some(name => name === to) && (names || []).some(name => name !== to && from.has(normalizeName(name)));
+}
+
+/**
+ * What renaming fromNames to to would change, without changing anything:
+ * one entry per affected document with the fields that change and whether
+ * the rename combines the old name with one the document already uses.
+ */
+function planRename(documents, kind, fromNames, to) {
+  const rename = createRenamer(fromNames, to);
+  const changes = [];
+
+  for (const document of documents) {
+    const copy = JSON.parse(JSON.stringify(document));
+    if (!rewriteDocument(copy, kind, rename)) continue;
+
+    changes.push({
+      documentId: document.id,
+      filename: document.filename,
+      title: document.title || null,
+      fields: RENAME_FIELDS[kind].filter(field => JSON.stringify(copy[field]) !== JSON.stringify(document[field])),
+      merges: isMerge(document, kind, fromNames, to)
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Rename fromNames to to in every document, in place. Returns how many
+ * documents changed.
+ */
+function applyRename(documents, kind, fromNames, to) {
+  const rename = createRenamer(fromNames, to);
+  return documents.filter(document => rewriteDocument(document, kind, rename)).length;
+}
+
+module.exports = {
+  RENAME_KINDS,
+  createRenamer,
+  rewriteDocumentThemes,
+  planRename,
+  applyRename
+};
@@ -0,0 +1,353 @@
+/**
+ * Screenplay Structure for Larga
+ *
+ * Shared representation for screenplay-aware formats (Fountain, Final Draft).
+ * Parsers produce an object of the form:
+ *
+ *   {
+ *     format: 'fountain',
+ *     titlePage: { title: 'Shares', author: 'K5M', draftDate: '8/10/22' },
+ *     elements: [
+ *       { type: 'sceneHeading', text: 'INT. OFFICE - DAY', sceneNumber: '1' },
+ *       { type: 'action', text: 'Bo paces.' },
+ *       { type: 'character', text: 'BO', extension: 'V.O.', dual: false },
+ *       { type: 'parenthetical', text: '(quietly)' },
+ *       { type: 'dialogue', text: 'We go public.' },
+ *       { type: 'transition', text: 'CUT TO:' }
+ *     ]
+ *   }
+ */
+
+const ELEMENT_TYPES = [
+  'sceneHeading',
+  'action',
+  'character',
+  'parenthetical',
+  'dialogue',
+  'transition',
+  'centered',
+  'lyrics',
+  'section',
+  'synopsis',
+  'pageBreak'
+];
+
+const SCENE_HEADING_PATTERN = /^(INT|EXT|EST|INT\.?\/EXT|I\/E)[.\s]/i;
+const CHARACTER_EXTENSION_PATTERN = /^(.*?)\s*\(([^)]*)\)\s*$/;
+const SCENE_NUMBER_PREFIX_PATTERN = /^\d+[A-Z]?\.?\s+/;
+const SCENE_NUMBER_SUFFIX_PATTERN = /\s+\d+[A-Z]?\.?$/;
+
+/**
+ * Split a character cue into name and extension ("BO (V.O.)" -> BO, V.O.)
+ */
+function splitCharacterCue(cue) {
+  const extensionMatch = cue.trim().match(CHARACTER_EXTENSION_PATTERN);
+  if (extensionMatch) {
+    return { text: extensionMatch[1].trim(), extension: extensionMatch[2].trim() };
+  }
+  return { text: cue.trim(), extension: null };
+}
+
+/**
+ * Escape a string for use in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Count case-insensitive whole-word mentions of a name in text. Given several
+ * names (a character and its aliases), longer ones are matched first so
+ * "John Smith" isn't also counted as "John".
+ */
+function countNameMentions(text, names) {
+  const list = [].concat(names).filter(name => name).sort((a, b) => b.length - a.length);
+  if (list.length === 0) return 0;
+  const matches = text.match(new RegExp(`\\b(?:${list.map(escapeRegExp).join('|')})\\b`, 'gi'));
+  return matches ? matches.length : 0;
+}
+
+/**
+ * Count words in a block of text
+ */
+function countWords(text) {
+  return text.split(/\s+/).filter(w => w.length > 0).length;
+}
+
+/**
+ * Render a single element as plain screenplay text
+ */
+function elementToText(element) {
+  switch (element.type) {
+    case 'character':
+      return element.extension ? `${element.text} (${element.extension})` : element.text;
+    case 'section':
+    case 'synopsis':
+    case 'pageBreak':
+      return ''; // Structural markers, not part of the read text
+    default:
+      return element.text || '';
+  }
+}
+
+/**
+ * Render a parsed screenplay as plain text.
+ * Used for word counts, diffs and AI analysis.
+ */
+function screenplayToText(screenplay) {
+  const blocks = [];
+
+  const titleLines = Object.values(screenplay.titlePage || {}).filter(v => v);
+  if (titleLines.length > 0) {
+    blocks.push(titleLines.join('\n'));
+  }
+
+  let dialogueBlock = null;
+  for (const element of screenplay.elements) {
+    const isDialoguePart = element.type === 'parenthetical' || element.type === 'dialogue';
+
+    if (element.type === 'character') {
+      dialogueBlock = [elementToText(element)];
+      blocks.push(dialogueBlock);
+    } else if (isDialoguePart && dialogueBlock) {
+      dialogueBlock.push(elementToText(element));
+    } else {
+      dialogueBlock = null;
+      const text = elementToText(element);
+      if (text) blocks.push(text);
+    }
+  }
+
+  return blocks
+    .map(block => Array.isArray(block) ? block.join('\n') : block)
+    .join('\n\n');
+}
+
+/**
+ * Build document sections from real scene headings.
+ * Content before the first scene heading is ignored, matching extractSections().
+ */
+function extractScreenplaySections(screenplay) {
+  const sections = [];
+  const titleCounts = {};
+  let current = null;
+
+  for (const element of screenplay.elements) {
+    if (element.type === 'sceneHeading') {
+      // Story Grid keys cells by section title, so repeated locations get a suffix
+      titleCounts[element.text] = (titleCounts[element.text] || 0) + 1;
+      const title = titleCounts[element.text] > 1
+        ? `${element.text} (${titleCounts[element.text]})`
+        : element.text;
+
+      current = { title, sceneNumber: element.sceneNumber || null, lines: [] };
+      sections.push(current);
+    } else if (current) {
+      const text = elementToText(element);
+      if (text) current.lines.push(text);
+    }
+  }
+
+  return sections.map(({ title, sceneNumber, lines }) => {
+    const content = lines.join('\n').trim();
+    return {
+      title,
+      sceneNumber,
+      content,
+      wordCount: countWords(content)
+    };
+  });
+}
+
+/**
+ * Check whether a plain-text line is a character cue (short, all caps, not a transition)
+ */
+function isPlainTextCue(line) {
+  const { text } = splitCharacterCue(line);
+  return text.length > 0 &&
+    text.length <= 40 &&
+    /[A-Z]/.test(text) &&
+    text === text.toUpperCase() &&
+    text.split(/\s+/).length <= 5 &&
+    !text.endsWith(':') &&
+    !/[.!?]$/.test(text);
+}
+
+/**
+ * Parse screenplay text extracted from .docx/.pdf/.rtf scripts into a screenplay
+ * structure, using INT./EXT. headings and character cues. Less strict than the
+ * Fountain parser because extracted text rarely keeps blank lines between elements.
+ */
+function parseScreenplayText(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n').map(line => line.trim());
+  const elements = [];
+  let inDialogue = false;
+  let seenSceneHeading = false; // Cues are only detected after the title page
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const nextLine = lines.slice(i + 1).find(l => l.length > 0) || '';
+
+    if (line === '') {
+      inDialogue = false;
+      continue;
+    }
+
+    const unnumbered = line.replace(SCENE_NUMBER_PREFIX_PATTERN, '');
+    if (SCENE_HEADING_PATTERN.test(unnumbered) && unnumbered === unnumbered.toUpperCase()) {
+      const sceneNumber = line.match(/^(\d+[A-Z]?)/);
+      elements.push({
+        type: 'sceneHeading',
+        text: unnumbered.replace(SCENE_NUMBER_SUFFIX_PATTERN, ''),
+        sceneNumber: sceneNumber ? sceneNumber[1] : null
+      });
+      inDialogue = false;
+      seenSceneHeading = true;
+      continue;
+    }
+
+    if (line === line.toUpperCase() && /[A-Z]/.test(line) && /(TO:|FADE OUT\.?|FADE IN:)$/.test(line)) {
+      elements.push({ type: 'transition', text: line });
+      inDialogue = false;
+      continue;
+    }
+
+    const nextIsSpeech = nextLine.length > 0 && nextLine !== nextLine.toUpperCase();
+    if (seenSceneHeading && isPlainTextCue(line) && (nextIsSpeech || nextLine.startsWith('('))) {
+      elements.push({ type: 'character', ...splitCharacterCue(line), dual: false });
+      inDialogue = true;
+      continue;
+    }
+
+    if (inDialogue) {
+      if (line.startsWith('(') && line.endsWith(')')) {
+        elements.push({ type: 'parenthetical', text: line });
+      } else {
+        const previous = elements[elements.length - 1];
+        if (previous.type === 'dialogue') {
+          previous.text += `\n${line}`;
+        } else {
+          elements.push({ type: 'dialogue', text: line });
+        }
+      }
+      continue;
+    }
+
+    const previous = elements[elements.length - 1];
+    if (previous && previous.type === 'action' && lines[i - 1] !== '') {
+      previous.text += `\n${line}`;
+    } else {
+      elements.push({ type: 'action', text: line });
+    }
+  }
+
+  return {
+    format: 'text',
+    titlePage: {},
+    elements
+  };
+}
+
+/**
+ * Build a model of scenes, speaking characters and dialogue blocks.
+ * Dialogue before the first scene heading is assigned to an untitled opening scene.
+ */
+function buildScreenplayModel(screenplay) {
+  const scenes = [];
+  const dialogueBlocks = [];
+  let scene = null;
+  let block = null;
+
+  const startScene = (heading, sceneNumber) => {
+    scene = {
+      index: scenes.length,
+      heading,
+      sceneNumber: sceneNumber || null,
+      speakingCharacters: [],
+      actionText: ''
+    };
+    scenes.push(scene);
+  };
+
+  for (const element of screenplay.elements) {
+    if (element.type === 'sceneHeading') {
+      startScene(element.text, element.sceneNumber);
+      block = null;
+      continue;
+    }
+
+    if (!scene) startScene(null, null);
+
+    switch (element.type) {
+      case 'character': {
+        const character = element.text.toUpperCase();
+        block = { character, sceneIndex: scene.index, parentheticals: [], text: '' };
+        dialogueBlocks.push(block);
+        if (!scene.speakingCharacters.includes(character)) {
+          scene.speakingCharacters.push(character);
+        }
+        break;
+      }
+      case 'parenthetical':
+        if (block) block.parentheticals.push(element.text);
+        break;
+      case 'dialogue':
+        if (block) block.text = block.text ? `${block.text}\n${element.text}` : element.text;
+        break;
+      case 'action':
+        scene.actionText += `${element.text}\n`;
+        block = null;
+        break;
+      default:
+        block = null;
+    }
+  }
+
+  dialogueBlocks.forEach(b => { b.wordCount = countWords(b.text); });
+
+  return { scenes, dialogueBlocks };
+}
+
+/**
+ * Per-character dialogue statistics from a screenplay model:
+ * lines (speeches), dialogue words, scene presence and first/last appearance.
+ * A character is present in a scene if they speak or are named in its action lines.
+ */
+function getCharacterStats(model) {
+  const stats = {};
+
+  for (const block of model.dialogueBlocks) {
+    if (!stats[block.character]) {
+      stats[block.character] = { name: block.character, lines: 0, words: 0, scenes: [] };
+    }
+    stats[block.character].lines++;
+    stats[block.character].words += block.wordCount;
+  }
+
+  for (const character of Object.values(stats)) {
+    character.scenes = model.scenes
+      .filter(scene => scene.speakingCharacters.includes(character.name) ||
+        countNameMentions(scene.actionText, character.name) > 0)
+      .map(scene => scene.index);
+    character.sceneCount = character.scenes.length;
+
+    const first = model.scenes[character.scenes[0]];
+    const last = model.scenes[character.scenes[character.scenes.length - 1]];
+    character.firstAppearance = first ? { sceneIndex: first.index, heading: first.heading } : null;
+    character.lastAppearance = last ? { sceneIndex: last.index, heading: last.heading } : null;
+  }
+
+  return Object.values(stats).sort((a, b) => b.lines - a.lines || b.words - a.words);
+}
+
+module.exports = {
+  ELEMENT_TYPES,
+  SCENE_HEADING_PATTERN,
+  splitCharacterCue,
+  countNameMentions,
+  screenplayToText,
+  extractScreenplaySections,
+  parseScreenplayText,
+  buildScreenplayModel,
+  getCharacterStats
+};
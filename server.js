@@ -5,27 +5,126 @@ const mammoth = require('mammoth');
 const multer = require('multer');
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
 const cors = require('cors');
-const OpenAI = require('openai');
 const Diff = require('diff');
 const pdfParse = require('pdf-parse');
 const rtfParser = require('rtf-parser');
-const { DOCUMENT_TYPES, classifyDocument, getDocumentTypeStyle } = require('./document-types');
+const {
+  DOCUMENT_TYPES,
+  validateCustomDocumentType,
+  getDocumentTypes,
+  classifyDocument,
+  learnFilenamePatterns,
+  getDocumentTypeStyle
+} = require('./document-types');
+const {
+  screenplayToText,
+  extractScreenplaySections,
+  parseScreenplayText,
+  buildScreenplayModel,
+  getCharacterStats,
+  countNameMentions
+} = require('./screenplay');
+const { parseFountain } = require('./fountain');
+const { parseFdx, screenplayToFdx } = require('./fdx');
+const {
+  getDefaultProviderType,
+  createProvider,
+  getAIErrorKind,
+  completeWithFallback,
+  validateProviderConfig,
+  listProviders
+} = require('./ai-providers');
+const {
+  DATE_ORDERS,
+  parseFilenameDate,
+  stripFilenameDates,
+  parseManualDate,
+  detectDocumentDate
+} = require('./document-dates');
+const {
+  ANALYSIS_MODES,
+  MAX_CHUNKS,
+  splitIntoChunks,
+  sampleText,
+  buildCoverage,
+  mergeAnalyses,
+  mergeStoryGrids
+} = require('./chunked-analysis');
+const { ACTIVE_STATUSES, createJobQueue } = require('./job-queue');
+const {
+  ANALYSIS_REASONS,
+  fingerprint,
+  getAnalysisReason,
+  normalizeConcurrency,
+  runWithConcurrency,
+  summarizeBatch
+} = require('./batch-analysis');
+const { withResponseCache, getResponseCacheStats, clearResponseCache } = require('./ai-cache');
+const {
+  STORY_GRID_SCHEMA,
+  getAnalysisSchema,
+  getClassificationSchema,
+  completeWithSchema
+} = require('./ai-schemas');
+const {
+  USAGE_GROUPINGS,
+  withUsageTracking,
+  createUsageLedger,
+  summarizeUsage,
+  getMonthToDateCost
+} = require('./ai-usage');
+const { loadPromptHistory, getPromptVersions, recordPromptVersions } = require('./prompt-history');
+const {
+  ACTION_ITEM_STATUSES,
+  NOTES_CHECK_SCHEMA,
+  loadActionItems,
+  saveActionItems,
+  syncDocumentItems,
+  removeDocumentItems,
+  validateActionItemUpdate,
+  applyActionItemUpdate,
+  getOpenItemsForDraft,
+  formatItemsForPrompt,
+  applyProposals
+} = require('./action-items');
+const {
+  FINDING_STATUSES,
+  FACTS_SCHEMA,
+  CONTRADICTIONS_SCHEMA,
+  loadContinuity,
+  saveContinuity,
+  isStoryDocument,
+  normalizeFacts,
+  groupFactsForCheck,
+  formatFactsForPrompt,
+  buildFindings,
+  mergeFindings,
+  validateFindingUpdate,
+  applyFindingUpdate
+} = require('./continuity');
+const {
+  CHARACTER_ROLES,
+  normalizeName,
+  loadCharacterBible,
+  saveCharacterBible,
+  getCharacterNames,
+  buildAliasIndex,
+  resolveCharacterName,
+  findCharacterByName,
+  rewriteDocumentCharacters,
+  validateCharacter,
+  createCharacter,
+  applyCharacterUpdate,
+  mergeCharacters
+} = require('./character-bible');
+const { RELATIONSHIP_TYPES, RELATIONSHIPS_SCHEMA, normalizeRelationships, buildRelationshipGraph } = require('./relationships');
+const { planRename, applyRename } = require('./renames');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// OpenRouter configuration (optional - falls back to regex if no API key)
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
-const openai = OPENROUTER_API_KEY ? new OpenAI({
-  baseURL: "https://openrouter.ai/api/v1",
-  apiKey: OPENROUTER_API_KEY,
-  defaultHeaders: {
-    "HTTP-Referer": "https://larga.app",
-    "X-Title": "Larga Story Tracker"
-  }
-}) : null;
-
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -35,10 +134,20 @@ app.use(express.static('public'));
 function getProjectPaths(projectId) {
   const projectDir = path.join(PROJECTS_DIR, projectId);
   return {
+    projectId,
     projectDir,
     uploadsDir: path.join(projectDir, 'uploads'),
     dataPath: path.join(projectDir, 'project-data.json'),
-    metaPath: path.join(projectDir, 'project-meta.json')
+    metaPath: path.join(projectDir, 'project-meta.json'),
+    settingsPath: path.join(projectDir, 'project-settings.json'),
+    textCacheDir: path.join(projectDir, 'text-cache'),
+    aiCacheDir: path.join(projectDir, 'ai-cache'),
+    usagePath: path.join(projectDir, 'ai-usage.json'),
+    promptHistoryPath: path.join(projectDir, 'prompt-history.json'),
+    actionItemsPath: path.join(projectDir, 'action-items.json'),
+    continuityPath: path.join(projectDir, 'continuity.json'),
+    charactersPath: path.join(projectDir, 'characters.json'),
+    jobsPath: path.join(projectDir, 'jobs.json')
   };
 }
 
@@ -144,7 +253,7 @@ const upload = multer({
     ];
 
     const ext = path.extname(file.originalname).toLowerCase();
-    const allowedExtensions = ['.docx', '.pdf', '.rtf'];
+    const allowedExtensions = ['.docx', '.pdf', '.rtf', '.fountain', '.fdx'];
 
     // Special message for .pages files
     if (ext === '.pages') {
@@ -155,7 +264,7 @@ const upload = multer({
     if (allowedMimeTypes.includes(file.mimetype) || allowedExtensions.includes(ext)) {
       cb(null, true);
     } else {
-      cb(new Error('Only .docx, .pdf, and .rtf files are supported'));
+      cb(new Error('Only .docx, .pdf, .rtf, .fountain, and .fdx files are supported'));
     }
   }
 });
@@ -202,6 +311,11 @@ async function extractTextFromFile(filePath, filename) {
           });
         });
 
+      case '.fountain':
+      case '.fdx':
+        const screenplay = await extractScreenplayFromFile(filePath, filename);
+        return screenplayToText(screenplay);
+
       case '.pages':
         // .pages files are actually packages (directories on macOS)
         // Try to extract from the Preview.pdf inside the package
@@ -225,36 +339,355 @@ async function extractTextFromFile(filePath, filename) {
   }
 }
 
-// Helper function to parse date from filename
-function parseDocumentDate(filename) {
-  // Try patterns: YY_MM_DD, YYMMDD, YY.MM.DD
-  const patterns = [
-    /(\d{2})_(\d{2})_(\d{2})/,  // 22_08_10
-    /(\d{2})(\d{2})(\d{2})/,     // 220810
-    /(\d{2})\.(\d{2})\.(\d{2})/  // 22.08.10
-  ];
+// Helper function to parse screenplay structure from screenplay-aware formats
+// Returns null for formats without structure (.docx, .pdf, .rtf)
+async function extractScreenplayFromFile(filePath, filename) {
+  const ext = path.extname(filename).toLowerCase();
+
+  switch (ext) {
+    case '.fountain':
+      const source = await fs.readFile(filePath, 'utf8');
+      return parseFountain(source);
+
+    case '.fdx':
+      const xml = await fs.readFile(filePath, 'utf8');
+      return parseFdx(xml);
+
+    default:
+      return null;
+  }
+}
+
+// Bump whenever text or structure extraction changes, so cached text is re-extracted
+const EXTRACTOR_VERSION = 2;
+
+// Helper function to hash extracted text
+function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Helper function to extract a document and persist its text + structure to the text cache
+async function writeTextCache(paths, documentId, filePath, filename) {
+  const text = await extractTextFromFile(filePath, filename);
+  const screenplay = await extractScreenplayFromFile(filePath, filename);
+
+  const cache = {
+    documentId,
+    extractorVersion: EXTRACTOR_VERSION,
+    contentHash: hashText(text),
+    extractedAt: new Date().toISOString(),
+    text,
+    screenplay
+  };
+
+  await fs.ensureDir(paths.textCacheDir);
+  await fs.writeJSON(path.join(paths.textCacheDir, `${documentId}.json`), cache);
+
+  return cache;
+}
+
+// Helper function to get a document's cached text + structure
+// Re-extracts from the original upload only when the cache is missing or was
+// written by an older extractor. The fields derived from the text are then
+// refreshed on the document and saved to a fresh read of the project data
+// under the project data lock, so callers must not already hold the lock.
+async function getDocumentText(paths, document) {
+  const cachePath = path.join(paths.textCacheDir, `${document.id}.json`);
+
+  if (await fs.pathExists(cachePath)) {
+    const cache = await fs.readJSON(cachePath);
+    if (cache.extractorVersion === EXTRACTOR_VERSION) {
+      return cache;
+    }
+  }
+
+  console.log(`Re-extracting text for ${document.filename} (extractor v${EXTRACTOR_VERSION})`);
+
+  const uploadPath = path.join(paths.uploadsDir, document.filePath);
+  const cache = await writeTextCache(paths, document.id, uploadPath, document.filename);
+
+  const derived = {
+    contentHash: cache.contentHash,
+    wordCount: cache.text.split(/\s+/).filter(w => w.length > 0).length,
+    sections: extractSections(cache.text, cache.screenplay),
+    hasScreenplay: !!cache.screenplay
+  };
+  Object.assign(document, derived);
+  delete document.screenplay;
+
+  await withProjectDataLock(paths.projectId, async () => {
+    if (!(await fs.pathExists(paths.dataPath))) return;
+    const projectData = await fs.readJSON(paths.dataPath);
+    const saved = projectData.documents.find(d => d.id === document.id);
+    if (!saved) return;
+    Object.assign(saved, derived);
+    delete saved.screenplay;
+    await fs.writeJSON(paths.dataPath, projectData, { spaces: 2 });
+  });
+
+  return cache;
+}
+
+// Migration: Drop parsed screenplay structure stored inline in project data
+// (documents uploaded before it moved to the text cache). The cache already
+// holds it, so only the hasScreenplay flag is kept on the document.
+async function migrateInlineScreenplays() {
+  let migrated = 0;
+  for (const projectId of await listProjectIds()) {
+    const paths = getProjectPaths(projectId);
+    try {
+      migrated += await withProjectDataLock(projectId, async () => {
+        if (!(await fs.pathExists(paths.dataPath))) return 0;
+        const projectData = await fs.readJSON(paths.dataPath);
+        const inline = projectData.documents.filter(doc => 'screenplay' in doc);
+        for (const doc of inline) {
+          doc.hasScreenplay = !!doc.screenplay;
+          delete doc.screenplay;
+        }
+        if (inline.length > 0) await fs.writeJSON(paths.dataPath, projectData, { spaces: 2 });
+        return inline.length;
+      });
+    } catch (error) {
+      console.warn(`Could not migrate screenplay structure for ${projectId}:`, error.message);
+    }
+  }
+  return migrated;
+}
+
+// Helper function to build the scene/dialogue model for script documents
+// Uses the parsed structure for .fountain/.fdx, otherwise parses INT./EXT. headings
+// and character cues from the extracted text. Returns null for non-script documents.
+function getScreenplayModel(document, cache) {
+  if (cache.screenplay) {
+    return buildScreenplayModel(cache.screenplay);
+  }
+
+  if (DOCUMENT_TYPES[document.type]?.isScript) {
+    return buildScreenplayModel(parseScreenplayText(cache.text));
+  }
+
+  return null;
+}
+
+// Story Grid text stats per document, kept in memory by content hash so the
+// grid doesn't re-read and re-scan every document's text on each request
+// (oldest entries are dropped past GRID_STATS_CACHE_SIZE)
+const gridStatsCache = new Map();
+const GRID_STATS_CACHE_SIZE = 1000;
+
+// Helper function to get a document's Story Grid text stats: dialogue stats
+// for scripts, and mention counts for each list of names (a character and its
+// aliases). The text is only loaded for stats that aren't cached yet.
+async function getGridTextStats(paths, document, nameLists) {
+  const namesKey = names => names.map(name => name.toLowerCase()).sort().join('\n');
+  const cacheKey = contentHash => `${contentHash}:${document.type}`;
+
+  let entry = document.contentHash ? gridStatsCache.get(cacheKey(document.contentHash)) : null;
+  let missing = entry ? nameLists.filter(names => !entry.mentions.has(namesKey(names))) : nameLists;
+
+  if (!entry || missing.length > 0) {
+    const cache = await getDocumentText(paths, document);
+    const key = cacheKey(cache.contentHash);
+    entry = gridStatsCache.get(key);
+    if (!entry) {
+      const model = getScreenplayModel(document, cache);
+      entry = {
+        dialogue: model ? Object.fromEntries(getCharacterStats(model).map(c => [c.name, c])) : null,
+        mentions: new Map()
+      };
+      gridStatsCache.set(key, entry);
+      if (gridStatsCache.size > GRID_STATS_CACHE_SIZE) {
+        gridStatsCache.delete(gridStatsCache.keys().next().value);
+      }
+    }
 
-  for (const pattern of patterns) {
-    const match = filename.match(pattern);
-    if (match) {
-      const year = parseInt(`20${match[1]}`);
-      const month = parseInt(match[2]) - 1; // JS months are 0-indexed
-      const day = parseInt(match[3]);
-      return new Date(year, month, day);
+    missing = nameLists.filter(names => !entry.mentions.has(namesKey(names)));
+    for (const names of missing) {
+      entry.mentions.set(namesKey(names), countNameMentions(cache.text, names));
     }
   }
 
-  // Fallback to current date
-  return new Date();
+  return {
+    dialogue: entry.dialogue,
+    mentions: nameLists.map(names => entry.mentions.get(namesKey(names)))
+  };
+}
+
+// Helper function to get a document's revision chain key
+// (documents uploaded before revision chains existed are their own chain)
+function getChainId(document) {
+  return document.chainId || document.id;
+}
+
+// Helper function to get every revision in a document's chain, oldest revision first
+function getRevisionChain(documents, document) {
+  const chainId = getChainId(document);
+  return documents
+    .filter(d => getChainId(d) === chainId)
+    .sort((a, b) => (a.revision || 1) - (b.revision || 1));
+}
+
+// Helper function to reduce a filename to a stem for matching revisions
+// e.g. "22_08_10_Shares_Pitch_v2.docx" -> "shares pitch"
+function getFilenameStem(filename) {
+  return stripFilenameDates(path.parse(filename).name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/\b(v|ver|version|rev|revision|draft)\s*\d+\b/g, ' ') // Version markers
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Helper function to get where a document's date came from
+// (documents uploaded before date sources were recorded are checked against the filename)
+function getDateSource(document) {
+  if (document.dateSource) return document.dateSource;
+  return parseFilenameDate(document.filename) ? 'filename' : 'upload';
+}
+
+// Helper function to keep documents in chronological order (the timeline relies on it)
+function sortDocumentsByDate(documents) {
+  return documents.sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+// Helper function to record a manual type change so the classifier can learn from it
+function recordTypeCorrection(projectData, document, type) {
+  if (!projectData.classificationCorrections) projectData.classificationCorrections = [];
+  projectData.classificationCorrections.push({
+    documentId: document.id,
+    filename: document.filename,
+    fromType: document.type,
+    toType: type,
+    correctedAt: new Date().toISOString()
+  });
+
+  document.type = type;
+  document.classification = { ...document.classification, method: 'manual' };
+}
+
+// Helper function to list the ids of every project folder
+async function listProjectIds() {
+  if (!(await fs.pathExists(PROJECTS_DIR))) return [];
+  const entries = await fs.readdir(PROJECTS_DIR, { withFileTypes: true });
+  return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+}
+
+// Helper function to load a project's settings (empty if none saved yet)
+async function loadProjectSettings(projectId) {
+  const { settingsPath } = getProjectPaths(projectId);
+  if (await fs.pathExists(settingsPath)) {
+    return fs.readJSON(settingsPath);
+  }
+  return {};
+}
+
+// Helper function to get the built-in document types merged with a project's custom types
+async function getProjectDocumentTypes(projectId) {
+  const settings = await loadProjectSettings(projectId);
+  return getDocumentTypes(settings.customDocumentTypes);
+}
+
+// Token usage and cost of every AI completion, per project (see ai-usage.js)
+const usageLedger = createUsageLedger({
+  getUsagePath: projectId => getProjectPaths(projectId).usagePath
+});
+
+// Helper function to get the AI provider for a project (see ai-providers.js)
+// Projects without an aiProvider setting use the default (OpenRouter if a key is set).
+// Responses are cached per project (see ai-cache.js); refresh skips cached answers.
+// The heuristics are instant and free, so they aren't cached.
+// Token usage is recorded against documentId (and otherDocumentId for comparisons).
+async function getProjectAIProvider(projectId, options = {}) {
+  const { refresh = false, documentId = null, otherDocumentId = null } = options;
+  const settings = await loadProjectSettings(projectId);
+  let provider = createProvider(settings.aiProvider);
+  if (provider.type !== 'heuristic') {
+    provider = withResponseCache(provider, getProjectPaths(projectId).aiCacheDir, { refresh });
+  }
+
+  return withUsageTracking(provider, entry => {
+    usageLedger.record(projectId, {
+      ...entry,
+      documentId,
+      ...(otherDocumentId ? { otherDocumentId } : {})
+    }).catch(error => {
+      console.error(`Failed to record AI usage for ${projectId}:`, error.message);
+    });
+  });
+}
+
+// Helper function to get a project's spending against its monthly AI budget
+// (monthlyBudget is in USD; null means no budget)
+async function getBudgetStatus(projectId) {
+  const settings = await loadProjectSettings(projectId);
+  const monthlyBudget = settings.monthlyBudget ?? null;
+  const monthToDate = getMonthToDateCost(await usageLedger.list(projectId));
+
+  return {
+    monthlyBudget,
+    monthToDate,
+    remaining: monthlyBudget === null ? null : Math.max(0, monthlyBudget - monthToDate),
+    exceeded: monthlyBudget !== null && monthToDate >= monthlyBudget
+  };
+}
+
+// Helper function to stop new AI work once a project has spent its monthly budget
+async function assertWithinBudget(projectId) {
+  const budget = await getBudgetStatus(projectId);
+  if (budget.exceeded) {
+    throw createHttpError(402, `Monthly AI budget of $${budget.monthlyBudget.toFixed(2)} reached ($${budget.monthToDate.toFixed(2)} spent this month). Raise the budget in Settings to continue.`);
+  }
+}
+
+// Helper function to create an error carrying the HTTP status a route should send
+function createHttpError(httpStatus, message) {
+  const error = new Error(message);
+  error.httpStatus = httpStatus;
+  return error;
+}
+
+// Serialize read-modify-write of a project's data file, so AI work running
+// side by side (batch analysis) can't overwrite another document's results
+const projectDataLocks = new Map();
+function withProjectDataLock(projectId, fn) {
+  const previous = projectDataLocks.get(projectId) || Promise.resolve();
+  const next = previous.catch(() => {}).then(fn);
+  projectDataLocks.set(projectId, next);
+  return next;
+}
+
+// Helper function to load a project's data and one of its documents
+// (throws a 404 error if either is missing)
+async function loadProjectDocument(paths, documentId) {
+  if (!(await fs.pathExists(paths.dataPath))) {
+    throw createHttpError(404, 'Document not found');
+  }
+
+  const projectData = await fs.readJSON(paths.dataPath);
+  const document = projectData.documents.find(d => d.id === documentId);
+  if (!document) {
+    throw createHttpError(404, 'Document not found');
+  }
+
+  return { projectData, document };
 }
 
 // Helper function to classify document type (using taxonomy from document-types.js)
-function classifyDocumentType(filename, text) {
-  return classifyDocument(filename, text);
+// Returns { type, confidence, candidates }; low-confidence documents stay unclassified.
+// Filename patterns learned from the project's manual corrections are included.
+function classifyDocumentType(filename, text, screenplay = null, projectData = null, documentTypes = DOCUMENT_TYPES) {
+  const learnedPatterns = learnFilenamePatterns(projectData?.classificationCorrections || [], documentTypes,
+    (projectData?.documents || []).map(d => d.filename));
+  return classifyDocument(filename, text, { screenplay, learnedPatterns, documentTypes });
 }
 
 // Helper function to extract sections from text
-function extractSections(text) {
+// Screenplays use their real scene headings instead of the all-caps heuristic
+function extractSections(text, screenplay = null) {
+  if (screenplay) {
+    return extractScreenplaySections(screenplay);
+  }
+
   const sections = [];
   const lines = text.split('\n');
   let currentSection = null;
@@ -366,55 +799,60 @@ function extractThemes(text) {
   return themes;
 }
 
-// AI-powered comparison brief
-async function generateComparisonBrief(doc1, doc2, stats, text1Sample, text2Sample) {
-  if (!openai) {
-    return null;
-  }
-
-  try {
-    const completion = await openai.chat.completions.create({
-      model: "openai/gpt-4o",
-      messages: [{
-        role: "user",
-        content: `Analyze the changes between two versions of a screenplay/story document and write a brief summary.
-
-**Document 1** (${doc1.filename}, ${new Date(doc1.date).toLocaleDateString()}):
-- ${doc1.wordCount} words
-- Themes: ${doc1.themes.join(', ') || 'none detected'}
-- Characters: ${doc1.characters.slice(0, 5).join(', ') || 'none detected'}
-
-**Document 2** (${doc2.filename}, ${new Date(doc2.date).toLocaleDateString()}):
-- ${doc2.wordCount} words
-- Themes: ${doc2.themes.join(', ') || 'none detected'}
-- Characters: ${doc2.characters.slice(0, 5).join(', ') || 'none detected'}
+// Helper function to describe a document for the comparison brief prompt ({doc1}/{doc2})
+function describeComparisonDocument(doc) {
+  return `(${doc.filename}, ${new Date(doc.date).toLocaleDateString()}):
+- ${doc.wordCount} words
+- Themes: ${doc.themes.join(', ') || 'none detected'}
+- Characters: ${doc.characters.slice(0, 5).join(', ') || 'none detected'}`;
+}
 
-**Changes**:
-- Word count: ${stats.wordCountChange >= 0 ? '+' : ''}${stats.wordCountChange}
+// Helper function to list the changes between two documents for the comparison brief prompt ({stats})
+function describeComparisonStats(stats) {
+  return `- Word count: ${stats.wordCountChange >= 0 ? '+' : ''}${stats.wordCountChange}
 - New themes: ${stats.newThemes.join(', ') || 'none'}
 - Removed themes: ${stats.removedThemes.join(', ') || 'none'}
 - New characters: ${stats.newCharacters.join(', ') || 'none'}
 - Removed characters: ${stats.removedCharacters.join(', ') || 'none'}
 - New sections: ${stats.newSections.map(s => s.title).join(', ') || 'none'}
-- Removed sections: ${stats.removedSections.map(s => s.title).join(', ') || 'none'}
-
-Text sample from Document 1 (first 500 chars):
-${text1Sample}
+- Removed sections: ${stats.removedSections.map(s => s.title).join(', ') || 'none'}`;
+}
 
-Text sample from Document 2 (first 500 chars):
-${text2Sample}
+// AI-powered comparison brief
+// promptConfig is the project's compareBrief prompt (see DEFAULT_AI_PROMPTS)
+async function generateComparisonBrief(doc1, doc2, stats, text1Sample, text2Sample, provider, signal = null, promptConfig = DEFAULT_AI_PROMPTS.compareBrief) {
+  if (!provider.available) {
+    return null;
+  }
 
-Write a 2-3 paragraph brief that explains:
-1. What changed between these versions (the "what")
-2. Why these changes likely occurred - what story/creative decisions drove them (the "why")
-3. How the document evolved - did it expand, focus, pivot direction? (the "how")
+  try {
+    const prompt = renderPrompt(promptConfig.prompt, {
+      doc1: describeComparisonDocument(doc1),
+      doc2: describeComparisonDocument(doc2),
+      filename1: doc1.filename,
+      filename2: doc2.filename,
+      stats: describeComparisonStats(stats),
+      characters: [...new Set([...doc1.characters, ...doc2.characters])].join(', ') || 'none detected',
+      themes: [...new Set([...doc1.themes, ...doc2.themes])].join(', ') || 'none detected',
+      sections: (doc2.sections || []).map(section => section.title).join(', ') || 'none',
+      text1Sample,
+      text2Sample
+    });
 
-Be specific and insightful. Focus on creative/narrative shifts, not just statistics.`
+    const { value: completion } = await completeWithFallback(getModelChain(promptConfig), model => provider.complete({
+      task: 'compareBrief',
+      model,
+      signal,
+      context: { doc1, doc2, stats },
+      messages: [{
+        role: "user",
+        content: prompt
       }]
-    });
+    }), signal);
 
-    return completion.choices[0].message.content;
+    return completion.content;
   } catch (error) {
+    if (signal?.aborted) throw error;
     console.error('AI brief generation error:', error.message);
     return null;
   }
@@ -424,6 +862,7 @@ Be specific and insightful. Focus on creative/narrative shifts, not just statist
 const DEFAULT_AI_PROMPTS = {
   notes: {
     model: 'openai/gpt-4o',
+    fallbackModels: [],
     prompt: `You are analyzing NOTES/FEEDBACK on a screenplay or pitch. These are comments from producers, agents, or executives.
 
 Document filename: {filename}
@@ -457,6 +896,7 @@ Return only valid JSON, no additional text.`
   },
   beatSheet: {
     model: 'openai/gpt-4o',
+    fallbackModels: [],
     prompt: `Analyze this BEAT SHEET document.
 
 Document filename: {filename}
@@ -478,6 +918,7 @@ Return only valid JSON, no additional text.`
   },
   sessionNotes: {
     model: 'openai/gpt-4o',
+    fallbackModels: [],
     prompt: `Analyze this internal BRAINSTORMING/SESSION NOTE.
 
 Document filename: {filename}
@@ -498,6 +939,7 @@ Return only valid JSON, no additional text.`
   },
   default: {
     model: 'openai/gpt-4o',
+    fallbackModels: [],
     prompt: `Analyze this {documentType} document.
 
 Document filename: {filename}
@@ -525,227 +967,609 @@ Please provide a JSON response with:
 IMPORTANT: Extract ALL character names you find, not just the main ones. Be thorough.
 
 Return only valid JSON, no additional text.`
-  }
-};
-
-// AI-powered content analysis (optional, uses OpenRouter if configured)
-async function analyzeContentWithAI(text, filename, documentType = 'unclassified', model = 'openai/gpt-4o', projectId = 'default') {
-  if (!openai) {
-    return null; // Fall back to regex-based extraction
-  }
+  },
+  // Variables: {doc1}, {doc2}, {filename1}, {filename2}, {stats}, {characters},
+  // {themes}, {sections} (of the newer draft), {text1Sample}, {text2Sample}
+  compareBrief: {
+    model: 'openai/gpt-4o',
+    fallbackModels: [],
+    prompt: `Analyze the changes between two versions of a screenplay/story document and write a brief summary.
 
-  try {
-    // If unclassified, first determine the document type
-    let detectedType = documentType;
-    if (documentType === 'unclassified') {
-      const typeClassification = await classifyDocumentWithAI(text, filename, model);
-      if (typeClassification) {
-        detectedType = typeClassification;
-      }
-    }
+**Document 1** {doc1}
 
-    // Load project-specific AI settings
-    const settingsPath = path.join(PROJECTS_DIR, projectId, 'project-settings.json');
-    let aiPrompts = DEFAULT_AI_PROMPTS;
+**Document 2** {doc2}
 
-    if (await fs.pathExists(settingsPath)) {
-      try {
-        const settings = await fs.readJSON(settingsPath);
-        if (settings.aiPrompts) {
-          aiPrompts = settings.aiPrompts;
-        }
-      } catch (error) {
-        console.warn(`Failed to load project settings for ${projectId}, using defaults:`, error.message);
-      }
-    }
+**Changes**:
+{stats}
 
-    // Select the appropriate prompt config based on document type
-    let promptConfig;
-    if (detectedType === 'notes') {
-      promptConfig = aiPrompts.notes || DEFAULT_AI_PROMPTS.notes;
-    } else if (detectedType === 'beatSheet') {
-      promptConfig = aiPrompts.beatSheet || DEFAULT_AI_PROMPTS.beatSheet;
-    } else if (detectedType === 'sessionNotes' || detectedType === 'quickNote') {
-      promptConfig = aiPrompts.sessionNotes || DEFAULT_AI_PROMPTS.sessionNotes;
-    } else {
-      promptConfig = aiPrompts.default || DEFAULT_AI_PROMPTS.default;
-    }
+Text sample from Document 1 (first 500 chars):
+{text1Sample}
 
-    // Use the model specified in the prompt config, not the passed-in parameter
-    const selectedModel = promptConfig.model;
+Text sample from Document 2 (first 500 chars):
+{text2Sample}
 
-    // Get document type info for template variables
-    const typeInfo = DOCUMENT_TYPES[detectedType];
-    const typeName = typeInfo ? typeInfo.name : 'Document';
-    const expectedContent = typeInfo ? typeInfo.expectedContent.join(', ') : '';
+Write a 2-3 paragraph brief that explains:
+1. What changed between these versions (the "what")
+2. Why these changes likely occurred - what story/creative decisions drove them (the "why")
+3. How the document evolved - did it expand, focus, pivot direction? (the "how")
 
-    // Replace template variables in the prompt
-    // Send more text to capture all characters (up to ~25,000 chars / ~6,000 tokens)
-    const analysisPrompt = promptConfig.prompt
-      .replace(/{filename}/g, filename)
-      .replace(/{text}/g, text.substring(0, 25000))
-      .replace(/{documentType}/g, typeName.toUpperCase())
-      .replace(/{expectedContent}/g, expectedContent);
+Be specific and insightful. Focus on creative/narrative shifts, not just statistics.`
+  },
+  // Variables: {filename}, {documentType}, {characters}, {themes},
+  // {sections} (in this part), {partNote}, {text}
+  storyGrid: {
+    model: 'openai/gpt-4o',
+    fallbackModels: [],
+    prompt: `You are analyzing a screenplay/story document to create a Story Grid.
 
-    const completion = await openai.chat.completions.create({
-      model: selectedModel,
-      messages: [{
-        role: "user",
-        content: analysisPrompt
-      }],
-      response_format: { type: "json_object" }
-    });
+Document Type: {documentType}
+Characters: {characters}
+Themes: {themes}
+{partNote}
+Please analyze this document and identify:
 
-    const analysis = JSON.parse(completion.choices[0].message.content);
-    analysis.model = selectedModel; // Track which model was used
-    analysis.detectedType = detectedType; // Include the detected document type
-    return analysis;
-  } catch (error) {
-    console.error('AI analysis error:', error.message);
-    console.error('Full error:', error);
+1. The episode/chapter/act structure (how many distinct episodes or story beats are there?)
+2. For each episode/chapter/act, what does EACH character do? (Be specific but concise - 1-2 sentences per character per episode)
+3. Which themes appear in each episode/character combination?
 
-    // Check if this is a moderation/content policy error
-    if (error.message && (
-      error.message.includes('content policy') ||
-      error.message.includes('moderation') ||
-      error.message.includes('harmful') ||
-      error.message.includes('blocked') ||
-      error.status === 400
-    )) {
-      // If using Claude, suggest GPT-4o as fallback
-      if (error.message.includes('claude') || error.message.includes('anthropic')) {
-        throw new Error('Claude content moderation blocked this request. This often happens with creative/dramatic content. Please switch to GPT-4o in Settings, which has more relaxed moderation for fictional content.');
-      } else {
-        throw new Error('Content moderation blocked this request. Your creative content may have triggered safety filters. Try using GPT-4o which is better for fictional TV/film content.');
-      }
+IMPORTANT FORMATTING - Respond with ONLY valid JSON in this exact format:
+{
+  "episodes": [
+    { "number": 1, "title": "Episode Title or Act Name" },
+    { "number": 2, "title": "Next Episode Title" }
+  ],
+  "characterActions": {
+    "CHARACTER_NAME": {
+      "1": "What this character does in episode 1",
+      "2": "What this character does in episode 2"
+    }
+  },
+  "themeAppearances": {
+    "CHARACTER_NAME": {
+      "1": ["theme1", "theme2"],
+      "2": ["theme1"]
     }
-
-    throw error; // Re-throw other errors
   }
 }
 
-// AI-powered document type classification
-async function classifyDocumentWithAI(text, filename, model = 'openai/gpt-4o') {
-  if (!openai) {
-    return null;
-  }
+Document text:
+{text}`
+  },
+  // Variables: {filename}, {notes} (open notes, one per line with its id),
+  // {partNote}, {text}
+  notesCheck: {
+    model: 'openai/gpt-4o',
+    fallbackModels: [],
+    prompt: `You are checking whether a new draft of a screenplay/story addresses the notes given on earlier versions.
 
-  try {
-    const availableTypes = Object.keys(DOCUMENT_TYPES)
-      .filter(key => key !== 'unclassified')
-      .map(key => {
-        const type = DOCUMENT_TYPES[key];
-        return `- ${key}: ${type.description}`;
-      })
-      .join('\n');
+Draft: {filename}
+{partNote}
+Open notes:
+{notes}
 
-    const completion = await openai.chat.completions.create({
-      model: model,
-      messages: [{
-        role: "user",
-        content: `Classify this document into one of the following types:
+For EACH note above, decide whether this draft appears to address it (for a question: whether the draft answers it). Only mark a note as addressed if the draft text shows a concrete change that deals with it.
 
-${availableTypes}
+IMPORTANT FORMATTING - Respond with ONLY valid JSON in this exact format:
+{
+  "results": [
+    { "id": "the id in brackets", "addressed": true, "evidence": "Short quote or description of where the draft addresses it" },
+    { "id": "another id", "addressed": false, "evidence": null }
+  ]
+}
 
-Document filename: ${filename}
+Draft text:
+{text}`
+  },
+  // Variables: {filename}, {documentType}, {partNote}, {text}
+  continuityFacts: {
+    model: 'openai/gpt-4o',
+    fallbackModels: [],
+    prompt: `You are a script supervisor extracting story facts from a screenplay/story document, so they can be checked for continuity against other drafts.
 
-Text excerpt (first 2000 chars):
-${text.substring(0, 2000)}
+Document: {filename}
+Document Type: {documentType}
+{partNote}
+List every concrete fact the text states about:
+- "age": a character's age (subject: the character, value: the age)
+- "relationship": how two characters are related (subject: one character, attribute: the other character, value: the relationship, e.g. "wife", "older brother")
+- "location": where a character lives, works or comes from, or where a place is (subject, attribute: e.g. "lives in", value)
+- "event": a dated or ordered event in the story's timeline (subject: who or what, attribute: when, value: what happened)
+- "worldRule": a rule of the story's world, e.g. how magic or technology works (subject: the rule's topic, value: the rule)
 
-Return ONLY the type key (e.g., "pitch", "notes", "beatSheet", etc.), nothing else.`
-      }]
-    });
+Include a short quote of the passage each fact comes from. Only list facts the text actually states.
 
-    const detectedType = completion.choices[0].message.content.trim().toLowerCase();
+IMPORTANT FORMATTING - Respond with ONLY valid JSON in this exact format:
+{
+  "facts": [
+    { "kind": "age", "subject": "BO", "attribute": null, "value": "34", "quote": "BO (34) stares at the ceiling" },
+    { "kind": "relationship", "subject": "MAX", "attribute": "BO", "value": "younger brother", "quote": "Max, Bo's kid brother" }
+  ]
+}
 
-    // Validate the detected type exists
-    if (DOCUMENT_TYPES[detectedType]) {
-      return detectedType;
-    }
+Document text:
+{text}`
+  },
+  // Variables: {facts} (one per line with its id, source document and quote)
+  continuityCheck: {
+    model: 'openai/gpt-4o',
+    fallbackModels: [],
+    prompt: `You are a script supervisor checking a TV/film project for continuity errors and plot holes.
 
-    return 'pitch'; // Fallback to pitch if invalid
-  } catch (error) {
-    console.error('AI classification error:', error.message);
+Below are story facts extracted from the project's documents, grouped by subject. Find facts that contradict each other, either between documents or within the same document: a character with two different ages, two incompatible relationships, an event placed at two different times, a world rule that is broken, and so on.
 
-    // Check for moderation errors
-    if (error.message && (
-      error.message.includes('content policy') ||
-      error.message.includes('moderation') ||
-      error.message.includes('harmful') ||
-      error.message.includes('blocked') ||
-      error.status === 400
-    )) {
-      if (model.includes('claude') || model.includes('anthropic')) {
-        throw new Error('Claude moderation blocked document classification. Switch to GPT-4o in Settings for fictional/dramatic content.');
-      }
-    }
+Facts that merely add detail, or that differ only in wording, are NOT contradictions.
+
+Facts:
+{facts}
 
-    return 'pitch'; // Fallback
+IMPORTANT FORMATTING - Respond with ONLY valid JSON in this exact format (an empty list if there are no contradictions):
+{
+  "findings": [
+    { "factIds": ["id of one fact", "id of the contradicting fact"], "summary": "One sentence explaining the contradiction" }
+  ]
+}`
+  },
+  // Variables: {filename}, {documentType}, {characters}, {partNote}, {text}
+  relationships: {
+    model: 'openai/gpt-4o',
+    fallbackModels: [],
+    prompt: `You are mapping how the characters in a screenplay/story document relate to each other.
+
+Document: {filename}
+Document Type: {documentType}
+Known characters: {characters}
+{partNote}
+List every relationship between two characters that the text states or clearly shows, with its type:
+- "family": related by blood or marriage other than romance (label e.g. "sister", "father")
+- "romantic": partners, spouses, lovers, exes (label e.g. "wife", "ex-boyfriend")
+- "rivalry": rivals or enemies
+- "employer": one character employs or commands the other; "from" is the employer, "to" the employee (label e.g. "boss", "commanding officer")
+- "friendship": friends
+- "other": any other clear relationship (label says what)
+
+Use the character names as they appear in the known characters list where possible. Include a short quote of the passage each relationship comes from.
+
+IMPORTANT FORMATTING - Respond with ONLY valid JSON in this exact format:
+{
+  "relationships": [
+    { "from": "MAX", "to": "BO", "type": "family", "label": "older brother", "quote": "Max, Bo's big brother" }
+  ]
+}
+
+Document text:
+{text}`
   }
+};
+
+// Helper function to fill a prompt template's {variables} in one pass
+// (unknown {names} and JSON examples in the template are left as they are)
+function renderPrompt(template, variables) {
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    variables[name] !== undefined && variables[name] !== null ? String(variables[name]) : match);
 }
 
-// API Routes
+// Helper function to get a project's prompt config for a task prompt
+// (compareBrief or storyGrid), falling back to the default
+function getTaskPromptConfig(settings, key) {
+  return settings.aiPrompts?.[key] || DEFAULT_AI_PROMPTS[key];
+}
 
-// Upload and process document
-app.post('/api/upload', upload.single('document'), async (req, res) => {
-  try {
+// Helper function to list a prompt config's model followed by its fallback models
+function getModelChain(promptConfig) {
+  return [promptConfig.model, ...(promptConfig.fallbackModels || []).filter(m => m !== promptConfig.model)];
+}
+
+// Helper function to get the key of the analysis prompt used for a document type
+function getAnalysisPromptKey(documentType) {
+  if (documentType === 'notes' || documentType === 'beatSheet') {
+    return documentType;
+  } else if (documentType === 'sessionNotes' || documentType === 'quickNote') {
+    return 'sessionNotes';
+  }
+  return 'default';
+}
+
+// Helper function to pick the analysis prompt config for a document type
+// (project prompts fall back to the defaults type by type)
+function getAnalysisPromptConfig(aiPrompts, documentType) {
+  const key = getAnalysisPromptKey(documentType);
+  return aiPrompts[key] || DEFAULT_AI_PROMPTS[key];
+}
+
+// Helper function to fingerprint what a document's analysis depends on: its
+// text, the prompt and model for its type, the provider and the analysis mode
+// (batch analysis skips documents whose fingerprint hasn't changed)
+function getAnalysisFingerprint(contentHash, settings, documentType, provider) {
+  const promptConfig = getAnalysisPromptConfig(settings.aiPrompts || DEFAULT_AI_PROMPTS, documentType);
+  return fingerprint([
+    contentHash,
+    promptConfig.prompt,
+    promptConfig.model,
+    provider.type,
+    provider.name,
+    settings.analysisMode || 'chunked'
+  ]);
+}
+
+// Helper function to fingerprint what a document's Story Grid depends on
+function getGridFingerprint(contentHash, document, settings, provider) {
+  const promptConfig = getTaskPromptConfig(settings, 'storyGrid');
+  return fingerprint([
+    contentHash,
+    document.characters || [],
+    document.themes || [],
+    promptConfig.prompt,
+    promptConfig.model,
+    provider.type,
+    provider.name,
+    settings.analysisMode || 'chunked'
+  ]);
+}
+
+// Characters of document text per AI request (~6,000 tokens for analysis);
+// longer documents are split along their sections (see chunked-analysis.js)
+const ANALYSIS_CHUNK_CHARS = 25000;
+const GRID_CHUNK_CHARS = 15000;
+const CLASSIFICATION_SAMPLE_CHARS = 3000;
+
+// Helper function to split document text into chunks for a provider
+// (providers without an input limit, like the heuristics, get the whole text)
+function getAnalysisChunks(text, sections, provider, maxChars) {
+  return splitIntoChunks(text, sections || [], { maxChars: provider.unlimitedInput ? Infinity : maxChars });
+}
+
+// Helper function to pick the chunks to send: all of them (up to MAX_CHUNKS)
+// in chunked mode, only the first in truncated mode
+function selectChunks(chunks, analysisMode) {
+  return analysisMode === 'truncated' ? chunks.slice(0, 1) : chunks.slice(0, MAX_CHUNKS);
+}
+
+// Helper function to label a chunk in a prompt, e.g. "[Part 2 of 5 of the document]"
+function describeChunk(chunk, chunkCount) {
+  return chunkCount > 1 ? `[Part ${chunk.index + 1} of ${chunkCount} of the document]\n\n` : '';
+}
+
+// Condense the per-chunk summaries of a long document into one sentence
+async function summarizeChunkSummaries(summaries, filename, typeName, model, provider, signal) {
+  if (summaries.length <= 1) {
+    return summaries[0] || null;
+  }
+
+  try {
+    const completion = await provider.complete({
+      task: 'mergeSummaries',
+      model,
+      signal,
+      context: { summaries, filename, typeName },
+      messages: [{
+        role: "user",
+        content: `These are one-sentence summaries of consecutive parts of the ${typeName} "${filename}":
+
+${summaries.map((summary, i) => `${i + 1}. ${summary}`).join('\n')}
+
+Write ONE sentence summarizing the whole document. Return only the sentence.`
+      }]
+    });
+    return completion.content.trim();
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.error('AI summary merge error:', error.message);
+    return summaries.join(' ');
+  }
+}
+
+// AI-powered content analysis (optional, uses OpenRouter if configured)
+// Long documents are analyzed chunk by chunk along their sections and the
+// results merged; analysis.coverage records which part of the text was seen.
+// options: { sections, signal (AbortSignal to cancel), onProgress(completed, total, message),
+// refresh (skip cached AI responses), documentId (usage is recorded against it),
+// promptConfig (a draft prompt to use instead of the project's, see try-prompt) }
+async function analyzeContentWithAI(text, filename, documentType = 'unclassified', model = 'openai/gpt-4o', projectId = 'default', options = {}) {
+  const { sections = [], signal, onProgress, refresh = false, documentId = null } = options;
+  const provider = await getProjectAIProvider(projectId, { refresh, documentId });
+  if (!provider.available) {
+    return null; // Fall back to regex-based extraction
+  }
+
+  try {
+    // Load project-specific AI settings and document types
+    const settingsPath = path.join(PROJECTS_DIR, projectId, 'project-settings.json');
+    let aiPrompts = DEFAULT_AI_PROMPTS;
+    let documentTypes = DOCUMENT_TYPES;
+    let analysisMode = 'chunked';
+
+    if (await fs.pathExists(settingsPath)) {
+      try {
+        const settings = await fs.readJSON(settingsPath);
+        if (settings.aiPrompts) {
+          aiPrompts = settings.aiPrompts;
+        }
+        documentTypes = getDocumentTypes(settings.customDocumentTypes);
+        analysisMode = settings.analysisMode || analysisMode;
+      } catch (error) {
+        console.warn(`Failed to load project settings for ${projectId}, using defaults:`, error.message);
+      }
+    }
+
+    // If unclassified, first determine the document type
+    let detectedType = documentType;
+    let classifiedType = null;
+    if (documentType === 'unclassified') {
+      onProgress?.(0, 1, 'Classifying document');
+      // The requested model, then the fallbacks of the prompt unclassified documents use
+      const classifyChain = getModelChain({ model, fallbackModels: getAnalysisPromptConfig(aiPrompts, 'unclassified').fallbackModels });
+      const typeClassification = await classifyDocumentWithAI(text, filename, classifyChain, documentTypes, provider, signal);
+      if (typeClassification) {
+        detectedType = typeClassification;
+        classifiedType = typeClassification;
+      }
+    }
+
+    // Select the appropriate prompt config based on document type
+    const promptKey = getAnalysisPromptKey(detectedType);
+    const promptConfig = options.promptConfig || getAnalysisPromptConfig(aiPrompts, detectedType);
+
+    // Use the model specified in the prompt config, not the passed-in parameter,
+    // then its fallback models in order after moderation or transient errors
+    const selectedModel = promptConfig.model;
+    const modelChain = getModelChain(promptConfig);
+
+    // Get document type info for template variables
+    const typeInfo = documentTypes[detectedType];
+    const typeName = typeInfo ? typeInfo.name : 'Document';
+    const expectedContent = typeInfo ? typeInfo.expectedContent.join(', ') : '';
+
+    // Map: analyze each chunk with the same prompt
+    const chunks = getAnalysisChunks(text, sections, provider, ANALYSIS_CHUNK_CHARS);
+    const selectedChunks = selectChunks(chunks, analysisMode);
+    const results = [];
+    const analyzedChunks = [];
+    const modelAttempts = []; // Models that failed before one succeeded, with why
+    let chainIndex = 0; // Later parts start from the model that last succeeded
+    let usedModel = selectedModel;
+    let lastError = null;
+
+    for (const chunk of selectedChunks) {
+      signal?.throwIfAborted();
+      onProgress?.(analyzedChunks.length, selectedChunks.length, `Analyzing part ${chunk.index + 1} of ${chunks.length}`);
+
+      // Replace template variables in the prompt
+      const chunkThemes = extractThemes(chunk.text);
+      const analysisPrompt = renderPrompt(promptConfig.prompt, {
+        filename,
+        text: describeChunk(chunk, chunks.length) + chunk.text,
+        documentType: typeName.toUpperCase(),
+        expectedContent,
+        themes: chunkThemes.join(', ') || 'none detected',
+        sections: chunk.sectionTitles.join(', ') || 'none'
+      });
+
+      const part = chunks.length > 1 ? chunk.index + 1 : null;
+      try {
+        // Validated against the type's schema, with a repair re-prompt if needed (see ai-schemas.js)
+        const { value: { value, completion }, model: succeededModel, attempts } = await completeWithFallback(modelChain.slice(chainIndex), chainModel =>
+          completeWithSchema(provider, {
+            task: 'analyze',
+            model: chainModel,
+            messages: [{
+              role: "user",
+              content: analysisPrompt
+            }],
+            json: true,
+            signal,
+            context: { text: chunk.text, filename, documentType: detectedType, typeInfo, themes: chunkThemes }
+          }, getAnalysisSchema(detectedType)), signal);
+
+        results.push(value);
+        analyzedChunks.push(chunk.index);
+        modelAttempts.push(...attempts.map(attempt => ({ ...attempt, part })));
+        chainIndex = modelChain.indexOf(succeededModel);
+        usedModel = completion.model; // Track which model was used (local providers may override it)
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.error(`AI analysis error (part ${chunk.index + 1} of ${chunks.length}):`, error.message);
+        modelAttempts.push(...(error.attempts || []).map(attempt => ({ ...attempt, part })));
+        lastError = error;
+      }
+    }
+
+    if (results.length === 0) {
+      throw lastError;
+    }
+
+    // Reduce: merge characters, themes and summaries across chunks
+    let analysis = results[0];
+    if (results.length > 1) {
+      onProgress?.(selectedChunks.length, selectedChunks.length, 'Merging results');
+      analysis = mergeAnalyses(results);
+      analysis.summary = await summarizeChunkSummaries(analysis.chunkSummaries, filename, typeName, modelChain[chainIndex], provider, signal);
+    }
+
+    analysis.model = usedModel;
+    analysis.modelAttempts = modelAttempts;
+    analysis.prompt = { key: promptKey, version: promptConfig.version || 0, updatedAt: promptConfig.updatedAt || null };
+    analysis.detectedType = detectedType; // Include the detected document type
+    analysis.classifiedType = classifiedType; // Type the AI gave an unclassified document (null otherwise)
+    analysis.coverage = buildCoverage(text, chunks, analyzedChunks, chunks.length === 1 ? 'full' : analysisMode);
+    return analysis;
+  } catch (error) {
+    console.error('AI analysis error:', error.message);
+    console.error('Full error:', error);
+
+    // Moderation blocked every model in the chain: suggest adding fallbacks
+    if (getAIErrorKind(error) === 'moderation') {
+      const tried = [...new Set((error.attempts || []).map(attempt => attempt.model))];
+      const moderationError = new Error(`Content moderation blocked this request${tried.length > 0 ? ` (models tried: ${tried.join(', ')})` : ''}. Creative/dramatic content often triggers safety filters, especially on Claude. Add fallback models for this document type in Settings; GPT-4o has more relaxed moderation for fictional content.`);
+      moderationError.attempts = error.attempts;
+      throw moderationError;
+    }
+
+    throw error; // Re-throw other errors
+  }
+}
+
+// AI-powered document type classification
+// (documentTypes includes the project's custom types, see getProjectDocumentTypes).
+// models is tried in order after moderation or transient errors. Returns null
+// when the document couldn't be classified, so it stays unclassified for review.
+async function classifyDocumentWithAI(text, filename, models = ['openai/gpt-4o'], documentTypes = DOCUMENT_TYPES, provider = createProvider(), signal = null) {
+  if (!provider.available) {
+    return null;
+  }
+
+  try {
+    const availableTypes = Object.keys(documentTypes)
+      .filter(key => key !== 'unclassified')
+      .map(key => {
+        const type = documentTypes[key];
+        return `- ${key}: ${type.description || type.name}`;
+      })
+      .join('\n');
+
+    // The reply must be a type key (keys are camelCase, so it is matched case-insensitively)
+    const typeKeys = Object.keys(documentTypes);
+    const parseTypeKey = content => {
+      const reply = content.trim().replace(/^["']|["']$/g, '').toLowerCase();
+      return typeKeys.find(key => key.toLowerCase() === reply) || reply;
+    };
+
+    const { value: { value: detectedType } } = await completeWithFallback(models, model => completeWithSchema(provider, {
+      task: 'classify',
+      model,
+      signal,
+      context: { text, filename, documentTypes },
+      messages: [{
+        role: "user",
+        content: `Classify this document into one of the following types:
+
+${availableTypes}
+
+Document filename: ${filename}
+
+Text excerpts (beginning, middle and end):
+${sampleText(text, CLASSIFICATION_SAMPLE_CHARS)}
+
+Return ONLY the type key (e.g., "pitch", "notes", "beatSheet", etc.), nothing else.`
+      }]
+    }, getClassificationSchema(typeKeys), { parse: parseTypeKey }), signal);
+
+    return detectedType;
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.error('AI classification error:', error.message);
+
+    // Moderation blocked every model in the chain
+    if (getAIErrorKind(error) === 'moderation' && models.some(m => m.includes('claude') || m.includes('anthropic'))) {
+      throw new Error('Claude moderation blocked document classification. Switch to GPT-4o in Settings for fictional/dramatic content.');
+    }
+
+    return null; // Not classified (including replies that still aren't a type key after repair)
+  }
+}
+
+// API Routes
+
+// Upload and process document
+app.post('/api/upload', upload.single('document'), async (req, res) => {
+  try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
     const filePath = req.file.path;
     const originalFilename = req.file.originalname;
+    const documentId = Date.now().toString();
+
+    // Get project-specific paths
+    const projectId = getProjectId(req);
+    const paths = getProjectPaths(projectId);
+
+    // Ensure project directories exist
+    await fs.ensureDir(paths.projectDir);
 
-    // Extract text from document (supports .docx, .pdf, .rtf, .pages)
-    const text = await extractTextFromFile(filePath, originalFilename);
+    // Extract text from document (supports .docx, .pdf, .rtf, .fountain, .fdx)
+    // and cache it so later requests don't re-parse the original file
+    const { text, screenplay, contentHash } = await writeTextCache(paths, documentId, filePath, originalFilename);
+    const settings = await loadProjectSettings(projectId);
+    const documentTypes = getDocumentTypes(settings.customDocumentTypes);
 
-    // Parse metadata
-    const date = parseDocumentDate(originalFilename);
-    const type = 'unclassified'; // Don't classify until AI analysis
+    // Date from the filename, then file metadata, falling back to the upload time
+    const { date, dateSource, dateDetail } = await detectDocumentDate(filePath, originalFilename, {
+      dateOrder: settings.dateOrder
+    });
     const wordCount = text.split(/\s+/).filter(w => w.length > 0).length;
 
     // Analyze content with regex (AI analysis available on-demand)
-    const sections = extractSections(text);
+    const sections = extractSections(text, screenplay);
     const themes = extractThemes(text);
 
-    // Create document object
-    // NOTE: Characters are now ONLY extracted via AI analysis, not regex
-    const document = {
-      id: Date.now().toString(),
-      filename: originalFilename,
-      uploadedAt: new Date().toISOString(),
-      date: date.toISOString(),
-      type,
-      wordCount,
-      sections,
-      characters: [], // Empty by default - populated by AI analysis
-      themes,
-      filePath: req.file.filename,
-      aiEnhanced: false,
-      summary: null,
-      genre: null
-    };
+    const document = await withProjectDataLock(projectId, async () => {
+      // Load or create project data
+      let projectData = { documents: [] };
 
-    // Get project-specific paths
-    const projectId = getProjectId(req);
-    const paths = getProjectPaths(projectId);
+      if (await fs.pathExists(paths.dataPath)) {
+        projectData = await fs.readJSON(paths.dataPath);
+      }
 
-    // Ensure project directories exist
-    await fs.ensureDir(paths.projectDir);
+      // Optional: upload as a new revision of an existing document
+      const parentId = req.body?.parentId || null;
+      const parent = parentId ? projectData.documents.find(d => d.id === parentId) : null;
 
-    // Load or create project data
-    let projectData = { documents: [] };
+      if (parentId && !parent) {
+        return null;
+      }
 
-    if (await fs.pathExists(paths.dataPath)) {
-      projectData = await fs.readJSON(paths.dataPath);
-    }
+      // Score every type locally; low-confidence documents stay unclassified
+      // until AI analysis or manual review
+      const classification = classifyDocumentType(originalFilename, text, screenplay, projectData, documentTypes);
+
+      // Create document object
+      // NOTE: Characters are now ONLY extracted via AI analysis, not regex
+      const document = {
+        id: documentId,
+        filename: originalFilename,
+        uploadedAt: new Date().toISOString(),
+        date: date.toISOString(),
+        dateSource, // filename, metadata, upload or manual
+        dateDetail, // Filename pattern or metadata field the date was read from
+        type: classification.type,
+        classification: {
+          method: 'local',
+          confidence: classification.confidence,
+          candidates: classification.candidates // Top ranked types with confidence scores
+        },
+        contentHash, // Hash of the extracted text (see getGridTextStats)
+        wordCount,
+        sections,
+        characters: [], // Empty by default - populated by AI analysis
+        themes,
+        hasScreenplay: !!screenplay, // Parsed title page and elements are in the text cache (.fountain/.fdx)
+        filePath: req.file.filename,
+        aiEnhanced: false,
+        summary: null,
+        genre: null,
+        // Revision chain: chainId is the first revision's id, parentId the revision this replaces
+        chainId: parent ? getChainId(parent) : documentId,
+        parentId: parent ? parent.id : null,
+        revision: parent
+          ? Math.max(...getRevisionChain(projectData.documents, parent).map(d => d.revision || 1)) + 1
+          : 1
+      };
 
-    // Add document and sort by date
-    projectData.documents.push(document);
-    projectData.documents.sort((a, b) => new Date(a.date) - new Date(b.date));
+      // Add document and sort by date
+      projectData.documents.push(document);
+      sortDocumentsByDate(projectData.documents);
 
-    // Save project data
-    await fs.writeJSON(paths.dataPath, projectData, { spaces: 2 });
+      // Save project data
+      await fs.writeJSON(paths.dataPath, projectData, { spaces: 2 });
+      return document;
+    });
+
+    if (!document) {
+      await fs.remove(filePath);
+      await fs.remove(path.join(paths.textCacheDir, `${documentId}.json`));
+      return res.status(400).json({ error: 'Parent document not found' });
+    }
 
     res.json({
       success: true,
@@ -758,6 +1582,49 @@ app.post('/api/upload', upload.single('document'), async (req, res) => {
   }
 });
 
+// Suggest existing documents an upload could be a new revision of (matching filename stem)
+app.get('/api/revisions/suggest', async (req, res) => {
+  try {
+    const filename = req.query.filename;
+    if (!filename) {
+      return res.status(400).json({ error: 'Filename required' });
+    }
+
+    const projectId = getProjectId(req);
+    const paths = getProjectPaths(projectId);
+    const stem = getFilenameStem(filename);
+
+    if (!stem || !(await fs.pathExists(paths.dataPath))) {
+      return res.json({ success: true, stem, suggestions: [] });
+    }
+
+    const projectData = await fs.readJSON(paths.dataPath);
+
+    // Suggest the latest revision of each chain with a matching stem
+    const chains = {};
+    projectData.documents
+      .filter(d => getFilenameStem(d.filename) === stem)
+      .forEach(d => {
+        const chainId = getChainId(d);
+        if (!chains[chainId] || (d.revision || 1) > (chains[chainId].revision || 1)) {
+          chains[chainId] = d;
+        }
+      });
+
+    const suggestions = Object.values(chains).map(d => ({
+      id: d.id,
+      filename: d.filename,
+      date: d.date,
+      revision: d.revision || 1
+    }));
+
+    res.json({ success: true, stem, suggestions });
+  } catch (error) {
+    console.error('Revision suggestion error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get all documents
 app.get('/api/documents', async (req, res) => {
   try {
@@ -806,403 +1673,928 @@ app.delete('/api/documents/:id', async (req, res) => {
     const projectId = getProjectId(req);
     const paths = getProjectPaths(projectId);
 
-    if (await fs.pathExists(paths.dataPath)) {
-      const projectData = await fs.readJSON(paths.dataPath);
-      const documentIndex = projectData.documents.findIndex(d => d.id === req.params.id);
+    await withProjectDataLock(projectId, async () => {
+      const { projectData, document } = await loadProjectDocument(paths, req.params.id);
 
-      if (documentIndex !== -1) {
-        const document = projectData.documents[documentIndex];
+      // Delete the uploaded file and its cached text
+      const uploadPath = path.join(paths.uploadsDir, document.filePath);
+      if (await fs.pathExists(uploadPath)) {
+        await fs.remove(uploadPath);
+      }
+      await fs.remove(path.join(paths.textCacheDir, `${document.id}.json`));
 
-        // Delete the uploaded file
-        const uploadPath = path.join(paths.uploadsDir, document.filePath);
-        if (await fs.pathExists(uploadPath)) {
-          await fs.remove(uploadPath);
-        }
+      // Remove from documents array
+      projectData.documents = projectData.documents.filter(d => d.id !== document.id);
 
-        // Remove from documents array
-        projectData.documents.splice(documentIndex, 1);
+      // Re-link later revisions to the deleted revision's parent
+      projectData.documents
+        .filter(d => d.parentId === document.id)
+        .forEach(d => { d.parentId = document.parentId || null; });
 
-        // Save updated data
-        await fs.writeJSON(paths.dataPath, projectData, { spaces: 2 });
+      // Save updated data
+      await fs.writeJSON(paths.dataPath, projectData, { spaces: 2 });
 
-        res.json({ success: true, message: 'Document deleted' });
-      } else {
-        res.status(404).json({ error: 'Document not found' });
+      // Drop its notes and reopen the ones it resolved
+      if (await fs.pathExists(paths.actionItemsPath)) {
+        const items = await loadActionItems(paths.actionItemsPath);
+        await saveActionItems(paths.actionItemsPath, removeDocumentItems(items, document.id));
       }
-    } else {
-      res.status(404).json({ error: 'Document not found' });
-    }
+    });
+
+    res.json({ success: true, message: 'Document deleted' });
   } catch (error) {
     console.error('Delete document error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.httpStatus || 500).json({ error: error.message });
   }
 });
 
-// Analyze document with AI (on-demand)
-app.post('/api/documents/:id/analyze', async (req, res) => {
-  try {
-    if (!openai) {
-      return res.status(400).json({ error: 'AI analysis not available. Set OPENROUTER_API_KEY in .env' });
-    }
+// Run AI analysis on a document and save the results.
+// Used by the analyze route and background jobs; options are
+// { model, signal, onProgress, refresh } (see analyzeContentWithAI).
+async function analyzeDocument(projectId, documentId, options = {}) {
+  const { model = 'openai/gpt-4o', signal, onProgress, refresh = false } = options;
+  const paths = getProjectPaths(projectId);
 
-    const requestedModel = req.body?.model || 'openai/gpt-4o'; // Get model from request body
-    const projectId = getProjectId(req);
-    const paths = getProjectPaths(projectId);
+  const provider = await getProjectAIProvider(projectId);
+  if (!provider.available) {
+    throw createHttpError(400, `AI analysis not available: ${provider.name} is not configured`);
+  }
 
-    if (await fs.pathExists(paths.dataPath)) {
-      const projectData = await fs.readJSON(paths.dataPath);
-      const document = projectData.documents.find(d => d.id === req.params.id);
+  const { document } = await loadProjectDocument(paths, documentId);
 
-      if (document) {
-        // Load the original file to get full text
-        const uploadPath = path.join(paths.uploadsDir, document.filePath);
-        const text = await extractTextFromFile(uploadPath, document.filename);
-
-        // Run AI analysis with document type context and selected model
-        const aiAnalysis = await analyzeContentWithAI(text, document.filename, document.type, requestedModel);
-
-        if (aiAnalysis) {
-          // Update document with AI analysis
-          document.characters = aiAnalysis.characters;
-          document.themes = aiAnalysis.themes;
-          document.summary = aiAnalysis.summary;
-          document.genre = aiAnalysis.genre;
-          document.aiEnhanced = true;
-          document.aiModel = aiAnalysis.model; // Track which AI model was used
-
-          // Update document type if it was classified
-          if (aiAnalysis.detectedType) {
-            document.type = aiAnalysis.detectedType;
-          }
+  // Load full text from the extraction cache
+  const { text, contentHash } = await getDocumentText(paths, document);
 
-          // Store document-type-specific fields
-          if (aiAnalysis.notesFrom) document.notesFrom = aiAnalysis.notesFrom;
-          if (aiAnalysis.actionItems) document.actionItems = aiAnalysis.actionItems;
-          if (aiAnalysis.questions) document.questions = aiAnalysis.questions;
-          if (aiAnalysis.structure) document.structure = aiAnalysis.structure;
-          if (aiAnalysis.beatCount) document.beatCount = aiAnalysis.beatCount;
+  const settings = await loadProjectSettings(projectId);
 
-          // Save updated data
-          await fs.writeJSON(paths.dataPath, projectData, { spaces: 2 });
+  // Run AI analysis with document type context and selected model
+  const aiAnalysis = await analyzeContentWithAI(text, document.filename, document.type, model, projectId, {
+    sections: document.sections,
+    signal,
+    onProgress,
+    refresh,
+    documentId
+  });
 
-          res.json({
-            success: true,
-            document
-          });
-        } else {
-          res.status(500).json({ error: 'AI analysis failed' });
-        }
-      } else {
-        res.status(404).json({ error: 'Document not found' });
-      }
-    } else {
-      res.status(404).json({ error: 'Document not found' });
-    }
-  } catch (error) {
-    console.error('AI analysis error:', error);
-    res.status(500).json({ error: error.message });
+  if (!aiAnalysis) {
+    throw createHttpError(500, 'AI analysis failed');
   }
-});
 
-// Add character to document
-app.post('/api/documents/:id/characters', async (req, res) => {
-  try {
-    const { character } = req.body;
-    if (!character) {
-      return res.status(400).json({ error: 'Character name required' });
+  // Reload before saving: the document may have been edited while the AI was working
+  return withProjectDataLock(projectId, async () => {
+    const latest = await loadProjectDocument(paths, documentId);
+    const updated = latest.document;
+
+    // Update document with AI analysis
+    updated.characters = aiAnalysis.characters;
+    updated.themes = aiAnalysis.themes;
+    updated.summary = aiAnalysis.summary;
+    updated.genre = aiAnalysis.genre;
+    updated.aiEnhanced = true;
+    updated.aiModel = aiAnalysis.model; // Track which AI model was used
+    updated.aiModelAttempts = aiAnalysis.modelAttempts; // Models that failed first (moderation/transient) and why
+    updated.analysisPrompt = aiAnalysis.prompt; // Which prompt version produced this analysis (see prompt-history.js)
+    updated.analysisCoverage = aiAnalysis.coverage; // Which part of the text was analyzed
+
+    // Update document type if the AI classified it (unless it was given a
+    // type while the AI was working)
+    if (aiAnalysis.classifiedType && updated.type === 'unclassified') {
+      updated.type = aiAnalysis.classifiedType;
+      updated.classification = { ...updated.classification, method: 'ai' };
     }
 
-    const projectId = getProjectId(req);
-    const paths = getProjectPaths(projectId);
+    // Store document-type-specific fields
+    if (aiAnalysis.notesFrom) updated.notesFrom = aiAnalysis.notesFrom;
+    if (aiAnalysis.actionItems) updated.actionItems = aiAnalysis.actionItems;
+    if (aiAnalysis.questions) updated.questions = aiAnalysis.questions;
+    if (aiAnalysis.structure) updated.structure = aiAnalysis.structure;
+    if (aiAnalysis.beatCount) updated.beatCount = aiAnalysis.beatCount;
 
-    if (await fs.pathExists(paths.dataPath)) {
-      const projectData = await fs.readJSON(paths.dataPath);
-      const document = projectData.documents.find(d => d.id === req.params.id);
+    // What this analysis depended on, so batch analysis can skip it next time
+    updated.analysisFingerprint = getAnalysisFingerprint(contentHash, settings, updated.type, provider);
 
-      if (document) {
-        if (!document.characters) document.characters = [];
+    // Map names onto the character bible ("JOHN" and "John Smith" become "John")
+    const characterIndex = buildAliasIndex(await loadCharacterBible(paths.charactersPath));
+    rewriteDocumentCharacters(updated, name => resolveCharacterName(characterIndex, name));
 
-        // Check if character already exists
-        if (!document.characters.includes(character)) {
-          document.characters.push(character);
-          await fs.writeJSON(paths.dataPath, projectData, { spaces: 2 });
-          res.json({ success: true, characters: document.characters });
-        } else {
-          res.status(400).json({ error: 'Character already exists' });
-        }
-      } else {
-        res.status(404).json({ error: 'Document not found' });
-      }
-    } else {
-      res.status(404).json({ error: 'Project not found' });
-    }
-  } catch (error) {
-    console.error('Add character error:', error);
-    res.status(500).json({ error: error.message });
+    // Save updated data
+    await fs.writeJSON(paths.dataPath, latest.projectData, { spaces: 2 });
+
+    // Track the notes' action items and questions (see action-items.js)
+    const items = await loadActionItems(paths.actionItemsPath);
+    await saveActionItems(paths.actionItemsPath, syncDocumentItems(items, updated));
+
+    return updated;
+  });
+}
+
+// Classify a document's type with AI and save it.
+// Used by background classification jobs; options are { model, signal, refresh }.
+async function classifyDocumentTypeWithAI(projectId, documentId, options = {}) {
+  const { model = 'openai/gpt-4o', signal, refresh = false } = options;
+  const paths = getProjectPaths(projectId);
+
+  const provider = await getProjectAIProvider(projectId, { refresh, documentId });
+  if (!provider.available) {
+    throw createHttpError(400, `AI analysis not available: ${provider.name} is not configured`);
   }
-});
 
-// Remove character from document
-app.delete('/api/documents/:id/characters', async (req, res) => {
-  try {
-    const { character } = req.body;
-    if (!character) {
-      return res.status(400).json({ error: 'Character name required' });
-    }
+  const { document } = await loadProjectDocument(paths, documentId);
+  const { text } = await getDocumentText(paths, document);
+  const documentTypes = await getProjectDocumentTypes(projectId);
+  const settings = await loadProjectSettings(projectId);
+  const models = getModelChain({ model, fallbackModels: getAnalysisPromptConfig(settings.aiPrompts || DEFAULT_AI_PROMPTS, 'unclassified').fallbackModels });
 
-    const projectId = getProjectId(req);
-    const paths = getProjectPaths(projectId);
+  const type = await classifyDocumentWithAI(text, document.filename, models, documentTypes, provider, signal);
+  if (!type) {
+    throw createHttpError(502, 'AI could not classify the document; its type is unchanged');
+  }
 
-    if (await fs.pathExists(paths.dataPath)) {
-      const projectData = await fs.readJSON(paths.dataPath);
-      const document = projectData.documents.find(d => d.id === req.params.id);
+  return withProjectDataLock(projectId, async () => {
+    const latest = await loadProjectDocument(paths, documentId);
+    const previousType = latest.document.type;
+    latest.document.type = type;
+    latest.document.classification = { ...latest.document.classification, method: 'ai' };
+    await fs.writeJSON(paths.dataPath, latest.projectData, { spaces: 2 });
 
-      if (document) {
-        if (document.characters) {
-          document.characters = document.characters.filter(c => c !== character);
-          await fs.writeJSON(paths.dataPath, projectData, { spaces: 2 });
-          res.json({ success: true, characters: document.characters });
-        } else {
-          res.status(400).json({ error: 'No characters found' });
-        }
-      } else {
-        res.status(404).json({ error: 'Document not found' });
-      }
-    } else {
-      res.status(404).json({ error: 'Project not found' });
-    }
+    return { type, previousType };
+  });
+}
+
+// Analyze document with AI (on-demand)
+app.post('/api/documents/:id/analyze', async (req, res) => {
+  try {
+    const requestedModel = req.body?.model || 'openai/gpt-4o'; // Get model from request body
+    await assertWithinBudget(getProjectId(req));
+    const document = await analyzeDocument(getProjectId(req), req.params.id, {
+      model: requestedModel,
+      refresh: req.body?.refresh === true // Skip cached AI responses
+    });
+
+    res.json({
+      success: true,
+      document
+    });
   } catch (error) {
-    console.error('Remove character error:', error);
-    res.status(500).json({ error: error.message });
+    console.error('AI analysis error:', error);
+    res.status(error.httpStatus || 500).json({ error: error.message, ...(error.fields ? { fields: error.fields } : {}) });
   }
 });
 
-// Add theme to document
-app.post('/api/documents/:id/themes', async (req, res) => {
+// Try a draft analysis prompt on a document without saving anything.
+// Body: { prompt, model, fallbackModels, refresh }; model and fallback models
+// default to those of the document type's current prompt. Returns the draft's
+// output next to the document's stored analysis.
+app.post('/api/documents/:id/try-prompt', async (req, res) => {
   try {
-    const { theme } = req.body;
-    if (!theme) {
-      return res.status(400).json({ error: 'Theme required' });
+    const projectId = getProjectId(req);
+    const { prompt, model, fallbackModels, refresh = false } = req.body || {};
+
+    const errors = [];
+    if (typeof prompt !== 'string' || !prompt.trim()) {
+      errors.push('prompt is required');
+    }
+    if (model !== undefined && (typeof model !== 'string' || !model.trim())) {
+      errors.push('model must be a model name');
+    }
+    if (fallbackModels !== undefined && (!Array.isArray(fallbackModels) || !fallbackModels.every(m => typeof m === 'string' && m.trim()))) {
+      errors.push('fallbackModels must be an array of model names');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; '), errors });
+    }
+
+    await assertWithinBudget(projectId);
+    const paths = getProjectPaths(projectId);
+    const provider = await getProjectAIProvider(projectId);
+    if (!provider.available) {
+      throw createHttpError(400, `AI analysis not available: ${provider.name} is not configured`);
+    }
+
+    const { document } = await loadProjectDocument(paths, req.params.id);
+    const { text } = await getDocumentText(paths, document);
+    const settings = await loadProjectSettings(projectId);
+    const current = getAnalysisPromptConfig(settings.aiPrompts || DEFAULT_AI_PROMPTS, document.type);
+
+    const draft = await analyzeContentWithAI(text, document.filename, document.type, current.model, projectId, {
+      sections: document.sections,
+      refresh: refresh === true,
+      documentId: document.id,
+      promptConfig: {
+        model: model || current.model,
+        fallbackModels: fallbackModels || current.fallbackModels || [],
+        prompt
+      }
+    });
+    if (!draft) {
+      throw createHttpError(500, 'AI analysis failed');
     }
+    delete draft.prompt; // The draft isn't a saved prompt version
+
+    res.json({
+      success: true,
+      promptKey: getAnalysisPromptKey(draft.detectedType),
+      draft,
+      current: {
+        aiEnhanced: !!document.aiEnhanced,
+        characters: document.characters || [],
+        themes: document.themes || [],
+        summary: document.summary || null,
+        genre: document.genre || null,
+        notesFrom: document.notesFrom,
+        actionItems: document.actionItems,
+        questions: document.questions,
+        structure: document.structure,
+        beatCount: document.beatCount,
+        model: document.aiModel || null,
+        prompt: document.analysisPrompt || null
+      }
+    });
+  } catch (error) {
+    console.error('Try prompt error:', error);
+    res.status(error.httpStatus || 500).json({ error: error.message, ...(error.fields ? { fields: error.fields } : {}) });
+  }
+});
+
+// Editable document metadata fields and their limits
+const EDITABLE_METADATA_FIELDS = ['date', 'title', 'type', 'summary', 'genre'];
+const METADATA_MAX_LENGTH = { title: 200, summary: 2000, genre: 100 };
 
+// Update document metadata (date, display title, type, summary, genre)
+// Only the fields present in the body change; null clears title/summary/genre
+app.patch('/api/documents/:id', async (req, res) => {
+  try {
     const projectId = getProjectId(req);
     const paths = getProjectPaths(projectId);
+    const updates = req.body || {};
+
+    const errors = [];
+    const unknownFields = Object.keys(updates).filter(field => !EDITABLE_METADATA_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      errors.push(`Fields cannot be edited: ${unknownFields.join(', ')}`);
+    }
+
+    let date = null;
+    if (updates.date !== undefined) {
+      date = parseManualDate(updates.date);
+      if (!date) errors.push('date must be YYYY-MM-DD or an ISO timestamp');
+    }
+
+    const documentTypes = await getProjectDocumentTypes(projectId);
+    if (updates.type !== undefined && !Object.hasOwn(documentTypes, updates.type)) {
+      errors.push(`Unknown document type: ${updates.type}`);
+    }
+
+    Object.entries(METADATA_MAX_LENGTH).forEach(([field, maxLength]) => {
+      const value = updates[field];
+      if (value === undefined || value === null) return;
+      if (typeof value !== 'string') {
+        errors.push(`${field} must be a string or null`);
+      } else if (value.length > maxLength) {
+        errors.push(`${field} must be at most ${maxLength} characters`);
+      }
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; '), errors });
+    }
+
+    const document = await withProjectDataLock(projectId, async () => {
+      if (!(await fs.pathExists(paths.dataPath))) {
+        throw createHttpError(404, 'Project not found');
+      }
 
-    if (await fs.pathExists(paths.dataPath)) {
       const projectData = await fs.readJSON(paths.dataPath);
       const document = projectData.documents.find(d => d.id === req.params.id);
 
-      if (document) {
-        if (!document.themes) document.themes = [];
+      if (!document) {
+        throw createHttpError(404, 'Document not found');
+      }
 
-        // Check if theme already exists
-        if (!document.themes.includes(theme)) {
-          document.themes.push(theme);
-          await fs.writeJSON(paths.dataPath, projectData, { spaces: 2 });
-          res.json({ success: true, themes: document.themes });
-        } else {
-          res.status(400).json({ error: 'Theme already exists' });
-        }
-      } else {
-        res.status(404).json({ error: 'Document not found' });
+      if (date) {
+        document.date = date.toISOString();
+        document.dateSource = 'manual';
+        document.dateDetail = null;
+        sortDocumentsByDate(projectData.documents);
       }
-    } else {
-      res.status(404).json({ error: 'Project not found' });
-    }
+
+      if (updates.type !== undefined && updates.type !== document.type) {
+        recordTypeCorrection(projectData, document, updates.type);
+      }
+
+      // Blank strings clear a field, so the timeline falls back to the filename
+      ['title', 'summary', 'genre'].forEach(field => {
+        if (updates[field] !== undefined) {
+          document[field] = updates[field] && updates[field].trim() ? updates[field].trim() : null;
+        }
+      });
+
+      await fs.writeJSON(paths.dataPath, projectData, { spaces: 2 });
+      return document;
+    });
+
+    res.json({ success: true, document });
   } catch (error) {
-    console.error('Add theme error:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Update document error:', error);
+    res.status(error.httpStatus || 500).json({ error: error.message });
   }
 });
 
-// Remove theme from document
-app.delete('/api/documents/:id/themes', async (req, res) => {
+// Manually set a document's type, recording the correction so the local
+// classifier can learn filename patterns for this project
+app.post('/api/documents/:id/type', async (req, res) => {
   try {
-    const { theme } = req.body;
-    if (!theme) {
-      return res.status(400).json({ error: 'Theme required' });
-    }
-
+    const { type } = req.body;
     const projectId = getProjectId(req);
     const paths = getProjectPaths(projectId);
 
-    if (await fs.pathExists(paths.dataPath)) {
+    const documentTypes = await getProjectDocumentTypes(projectId);
+    if (!type || !Object.hasOwn(documentTypes, type)) {
+      return res.status(400).json({ error: `Unknown document type: ${type}` });
+    }
+
+    const document = await withProjectDataLock(projectId, async () => {
+      if (!(await fs.pathExists(paths.dataPath))) {
+        throw createHttpError(404, 'Project not found');
+      }
+
       const projectData = await fs.readJSON(paths.dataPath);
       const document = projectData.documents.find(d => d.id === req.params.id);
 
-      if (document) {
-        if (document.themes) {
-          document.themes = document.themes.filter(t => t !== theme);
-          await fs.writeJSON(paths.dataPath, projectData, { spaces: 2 });
-          res.json({ success: true, themes: document.themes });
-        } else {
-          res.status(400).json({ error: 'No themes found' });
-        }
-      } else {
-        res.status(404).json({ error: 'Document not found' });
+      if (!document) {
+        throw createHttpError(404, 'Document not found');
       }
-    } else {
-      res.status(404).json({ error: 'Project not found' });
-    }
+
+      if (document.type !== type) {
+        recordTypeCorrection(projectData, document, type);
+        await fs.writeJSON(paths.dataPath, projectData, { spaces: 2 });
+      }
+      return document;
+    });
+
+    res.json({ success: true, document });
   } catch (error) {
-    console.error('Remove theme error:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Set document type error:', error);
+    res.status(error.httpStatus || 500).json({ error: error.message });
   }
 });
 
-// Get full document text
-app.get('/api/documents/:id/text', async (req, res) => {
+// List manual type corrections and the filename patterns learned from them
+app.get('/api/classification/corrections', async (req, res) => {
   try {
     const projectId = getProjectId(req);
     const paths = getProjectPaths(projectId);
 
     if (await fs.pathExists(paths.dataPath)) {
       const projectData = await fs.readJSON(paths.dataPath);
-      const document = projectData.documents.find(d => d.id === req.params.id);
+      const corrections = projectData.classificationCorrections || [];
 
-      if (document) {
-        const uploadPath = path.join(paths.uploadsDir, document.filePath);
-        const text = await extractTextFromFile(uploadPath, document.filename);
-        res.json({ success: true, text });
-      } else {
-        res.status(404).json({ error: 'Document not found' });
-      }
+      const documentTypes = await getProjectDocumentTypes(projectId);
+
+      res.json({
+        corrections,
+        learnedPatterns: learnFilenamePatterns(corrections, documentTypes, projectData.documents.map(d => d.filename))
+      });
     } else {
-      res.status(404).json({ error: 'Project not found' });
+      res.json({ corrections: [], learnedPatterns: [] });
     }
   } catch (error) {
-    console.error('Get document text error:', error);
+    console.error('Classification corrections error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Update grid (mark document for Story Grid inclusion with AI analysis)
-app.post('/api/documents/:id/update-grid', async (req, res) => {
+// Helper function to save the character bible and rewrite every document's
+// character references to match it. Call inside withProjectDataLock; returns
+// how many documents changed. The documents are saved first, and restored if
+// the bible can't be saved, so the two files never disagree.
+async function saveCharacterBibleAndApply(paths, characters) {
+  let previousData = null;
+  let documentsUpdated = 0;
+
+  if (await fs.pathExists(paths.dataPath)) {
+    previousData = await fs.readJSON(paths.dataPath);
+    const projectData = structuredClone(previousData);
+    const index = buildAliasIndex(characters);
+    for (const document of projectData.documents) {
+      if (rewriteDocumentCharacters(document, name => resolveCharacterName(index, name))) {
+        documentsUpdated++;
+      }
+    }
+    if (documentsUpdated > 0) {
+      await fs.writeJSON(paths.dataPath, projectData, { spaces: 2 });
+    }
+  }
+
+  try {
+    await saveCharacterBible(paths.charactersPath, characters);
+  } catch (error) {
+    if (documentsUpdated > 0) {
+      await fs.writeJSON(paths.dataPath, previousData, { spaces: 2 });
+    }
+    throw error;
+  }
+  return documentsUpdated;
+}
+
+// List the character bible with how many documents each character appears in,
+// plus the names used in documents that aren't registered yet
+app.get('/api/characters', async (req, res) => {
   try {
-    if (!openai) {
-      return res.status(400).json({ error: 'AI analysis not available. Set OPENROUTER_API_KEY in .env' });
+    const paths = getProjectPaths(getProjectId(req));
+    if (!(await fs.pathExists(paths.projectDir))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const characters = await loadCharacterBible(paths.charactersPath);
+    const documents = (await fs.pathExists(paths.dataPath)) ? (await fs.readJSON(paths.dataPath)).documents : [];
+    const index = buildAliasIndex(characters);
+
+    const documentCounts = {};
+    for (const document of documents) {
+      for (const name of new Set((document.characters || []).map(n => resolveCharacterName(index, n)))) {
+        documentCounts[name] = (documentCounts[name] || 0) + 1;
+      }
     }
 
+    res.json({
+      characters: characters.map(character => ({ ...character, documentCount: documentCounts[character.name] || 0 })),
+      unregistered: Object.keys(documentCounts)
+        .filter(name => !findCharacterByName(characters, name))
+        .sort()
+        .map(name => ({ name, documentCount: documentCounts[name] })),
+      roles: CHARACTER_ROLES
+    });
+  } catch (error) {
+    console.error('List characters error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Register a character: { name, aliases, description, role }
+// Documents using its aliases are rewritten to the canonical name
+app.post('/api/characters', async (req, res) => {
+  try {
     const projectId = getProjectId(req);
     const paths = getProjectPaths(projectId);
+    const input = req.body || {};
 
-    if (await fs.pathExists(paths.dataPath)) {
-      const projectData = await fs.readJSON(paths.dataPath);
-      const document = projectData.documents.find(d => d.id === req.params.id);
+    const result = await withProjectDataLock(projectId, async () => {
+      if (!(await fs.pathExists(paths.projectDir))) {
+        throw createHttpError(404, 'Project not found');
+      }
+      const characters = await loadCharacterBible(paths.charactersPath);
+      const errors = validateCharacter(input, characters);
+      if (errors.length > 0) {
+        const error = createHttpError(400, errors.join('; '));
+        error.errors = errors;
+        throw error;
+      }
 
-      if (document) {
-        // Load full document text
-        const uploadPath = path.join(paths.uploadsDir, document.filePath);
-        const text = await extractTextFromFile(uploadPath, document.filename);
+      const character = createCharacter(input);
+      const documentsUpdated = await saveCharacterBibleAndApply(paths, [...characters, character]);
+      return { character, documentsUpdated };
+    });
 
-        // Get the user's preferred model or default
-        const model = req.body?.model || 'openai/gpt-4o';
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Create character error:', error);
+    res.status(error.httpStatus || 500).json({ error: error.message, ...(error.errors ? { errors: error.errors } : {}) });
+  }
+});
 
-        // Use existing characters from document (including manual edits)
-        const characters = document.characters || [];
-        const themes = document.themes || [];
+// Update a character: { name, aliases, description, role }
+// A new name keeps the old one as an alias; documents are rewritten to match
+app.patch('/api/characters/:id', async (req, res) => {
+  try {
+    const projectId = getProjectId(req);
+    const paths = getProjectPaths(projectId);
+    const update = req.body || {};
 
-        if (characters.length === 0) {
-          return res.status(400).json({
-            error: 'No characters found in document. Please analyze the document first or add characters manually.'
-          });
-        }
+    const result = await withProjectDataLock(projectId, async () => {
+      if (!(await fs.pathExists(paths.projectDir))) {
+        throw createHttpError(404, 'Project not found');
+      }
+      const characters = await loadCharacterBible(paths.charactersPath);
+      const index = characters.findIndex(c => c.id === req.params.id);
+      if (index === -1) {
+        throw createHttpError(404, 'Character not found');
+      }
 
-        // AI prompt to analyze story structure
-        const prompt = `You are analyzing a screenplay/story document to create a Story Grid.
+      const errors = validateCharacter(update, characters, { id: req.params.id, partial: true });
+      if (errors.length > 0) {
+        const error = createHttpError(400, errors.join('; '));
+        error.errors = errors;
+        throw error;
+      }
 
-Document Type: ${document.type}
-Characters: ${characters.join(', ')}
-Themes: ${themes.join(', ')}
+      characters[index] = applyCharacterUpdate(characters[index], update);
+      const documentsUpdated = await saveCharacterBibleAndApply(paths, characters);
+      return { character: characters[index], documentsUpdated };
+    });
 
-Please analyze this document and identify:
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Update character error:', error);
+    res.status(error.httpStatus || 500).json({ error: error.message, ...(error.errors ? { errors: error.errors } : {}) });
+  }
+});
 
-1. The episode/chapter/act structure (how many distinct episodes or story beats are there?)
-2. For each episode/chapter/act, what does EACH character do? (Be specific but concise - 1-2 sentences per character per episode)
-3. Which themes appear in each episode/character combination?
+// Remove a character from the bible (documents keep using its canonical name)
+app.delete('/api/characters/:id', async (req, res) => {
+  try {
+    const projectId = getProjectId(req);
+    const paths = getProjectPaths(projectId);
 
-IMPORTANT FORMATTING - Respond with ONLY valid JSON in this exact format:
-{
-  "episodes": [
-    { "number": 1, "title": "Episode Title or Act Name" },
-    { "number": 2, "title": "Next Episode Title" }
-  ],
-  "characterActions": {
-    "CHARACTER_NAME": {
-      "1": "What this character does in episode 1",
-      "2": "What this character does in episode 2"
+    await withProjectDataLock(projectId, async () => {
+      if (!(await fs.pathExists(paths.projectDir))) {
+        throw createHttpError(404, 'Project not found');
+      }
+      const characters = await loadCharacterBible(paths.charactersPath);
+      if (!characters.some(c => c.id === req.params.id)) {
+        throw createHttpError(404, 'Character not found');
+      }
+      await saveCharacterBible(paths.charactersPath, characters.filter(c => c.id !== req.params.id));
+    });
+
+    res.json({ success: true, message: 'Character removed' });
+  } catch (error) {
+    console.error('Delete character error:', error);
+    res.status(error.httpStatus || 500).json({ error: error.message });
+  }
+});
+
+// Merge characters: { into, names }. into is a character id or a name (an
+// unregistered name is registered first); names become its aliases, and every
+// document's references to them are rewritten to its canonical name.
+app.post('/api/characters/merge', async (req, res) => {
+  try {
+    const projectId = getProjectId(req);
+    const paths = getProjectPaths(projectId);
+    const { into, names } = req.body || {};
+
+    const errors = [];
+    if (typeof into !== 'string' || !into.trim()) {
+      errors.push('into must be a character id or name');
     }
-  },
-  "themeAppearances": {
-    "CHARACTER_NAME": {
-      "1": ["theme1", "theme2"],
-      "2": ["theme1"]
+    if (!Array.isArray(names) || names.length === 0 || names.some(name => typeof name !== 'string' || !name.trim())) {
+      errors.push('names must be a non-empty array of names');
     }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; '), errors });
+    }
+
+    const result = await withProjectDataLock(projectId, async () => {
+      if (!(await fs.pathExists(paths.projectDir))) {
+        throw createHttpError(404, 'Project not found');
+      }
+      let characters = await loadCharacterBible(paths.charactersPath);
+      let target = characters.find(c => c.id === into) || findCharacterByName(characters, into);
+      if (!target) {
+        target = createCharacter({ name: into });
+        characters = [...characters, target];
+      }
+
+      const merged = mergeCharacters(characters, target.id, names);
+      const documentsUpdated = await saveCharacterBibleAndApply(paths, merged);
+      return {
+        character: merged.find(c => c.id === target.id),
+        removed: characters.length - merged.length,
+        documentsUpdated
+      };
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Merge characters error:', error);
+    res.status(error.httpStatus || 500).json({ error: error.message });
+  }
+});
+
+// Helper function to validate a rename body: { from, to, dryRun }
+function validateRename(body) {
+  const { from, to, dryRun = false } = body;
+  const errors = [];
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (typeof value !== 'string' || !value.trim()) errors.push(`${name} must be a non-empty string`);
+  }
+  if (typeof dryRun !== 'boolean') {
+    errors.push('dryRun must be a boolean');
+  }
+  if (errors.length === 0 && from.trim() === to.trim()) {
+    errors.push('from and to must differ');
   }
+  return errors;
 }
 
-Document text:
-${text.slice(0, 15000)}`;
+// Rename a character across the project: { from, to, dryRun }. Every
+// document's characters and Story Grid cells are rewritten at once; a
+// registered character is renamed in the bible too (keeping the old name as an
+// alias), and renaming one of its aliases only changes the bible. dryRun
+// lists what would change without saving anything.
+app.post('/api/characters/rename', async (req, res) => {
+  try {
+    const projectId = getProjectId(req);
+    const paths = getProjectPaths(projectId);
+    const body = req.body || {};
 
-        console.log('Generating story grid with AI...');
+    const errors = validateRename(body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; '), errors });
+    }
+    const from = body.from.trim();
+    const to = body.to.trim();
+    const dryRun = body.dryRun === true;
 
-        const completion = await openai.chat.completions.create({
-          model: model,
-          messages: [
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
-          temperature: 0.7,
-          max_tokens: 4000
-        });
+    const result = await withProjectDataLock(projectId, async () => {
+      if (!(await fs.pathExists(paths.dataPath))) {
+        throw createHttpError(404, 'Project not found');
+      }
+      const projectData = await fs.readJSON(paths.dataPath);
+      let characters = await loadCharacterBible(paths.charactersPath);
 
-        const responseText = completion.choices[0].message.content.trim();
+      const owner = findCharacterByName(characters, from);
+      const toOwner = findCharacterByName(characters, to);
+      if (toOwner && toOwner.id !== owner?.id) {
+        throw createHttpError(409, `"${to}" already belongs to ${toOwner.name}; merge the characters instead`);
+      }
 
-        // Extract JSON from response (handle markdown code blocks)
-        let jsonText = responseText;
-        if (responseText.includes('```json')) {
-          jsonText = responseText.split('```json')[1].split('```')[0].trim();
-        } else if (responseText.includes('```')) {
-          jsonText = responseText.split('```')[1].split('```')[0].trim();
-        }
+      let fromNames = [from];
+      let character = null;
+      if (owner) {
+        const renamesCanonical = normalizeName(owner.name) === normalizeName(from);
+        const updated = renamesCanonical
+          ? applyCharacterUpdate(owner, { name: to })
+          : applyCharacterUpdate(owner, { aliases: owner.aliases.map(alias => normalizeName(alias) === normalizeName(from) ? to : alias) });
+        // Documents use canonical names, so an alias rename leaves them alone
+        fromNames = renamesCanonical ? getCharacterNames(owner) : [];
+        characters = characters.map(c => c.id === owner.id ? updated : c);
+        character = { id: owner.id, name: updated.name, previousName: owner.name, aliases: updated.aliases };
+      }
 
-        const gridData = JSON.parse(jsonText);
+      const documents = planRename(projectData.documents, 'character', fromNames, to);
+      if (!owner && documents.length === 0) {
+        throw createHttpError(404, `No character named "${from}"`);
+      }
 
-        // Save to document
-        document.episodes = gridData.episodes;
-        document.characterActions = gridData.characterActions;
-        document.themeAppearances = gridData.themeAppearances || {};
-        document.inStoryGrid = true;
-        document.gridUpdatedAt = new Date().toISOString();
+      if (!dryRun) {
+        if (documents.length > 0) {
+          applyRename(projectData.documents, 'character', fromNames, to);
+          await fs.writeJSON(paths.dataPath, projectData, { spaces: 2 });
+        }
+        if (owner) {
+          await saveCharacterBible(paths.charactersPath, characters);
+        }
+      }
 
-        await fs.writeJSON(paths.dataPath, projectData, { spaces: 2 });
+      return { from, to, character, documents, documentsUpdated: dryRun ? 0 : documents.length };
+    });
 
-        res.json({
-          success: true,
-          message: 'Story grid generated with AI',
-          episodes: gridData.episodes,
-          characterActions: gridData.characterActions,
-          themeAppearances: gridData.themeAppearances
-        });
-      } else {
-        res.status(404).json({ error: 'Document not found' });
-      }
-    } else {
-      res.status(404).json({ error: 'Project not found' });
-    }
+    res.json({ success: true, dryRun, ...result });
   } catch (error) {
-    console.error('Update grid error:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Rename character error:', error);
+    res.status(error.httpStatus || 500).json({ error: error.message });
   }
 });
 
-// Save story grid data for a specific document
-app.post('/api/story-grid/:id', async (req, res) => {
+// Rename a theme across the project: { from, to, dryRun }. Every document's
+// themes and Story Grid theme lists are rewritten at once; dryRun lists what
+// would change without saving anything.
+app.post('/api/themes/rename', async (req, res) => {
+  try {
+    const projectId = getProjectId(req);
+    const paths = getProjectPaths(projectId);
+    const body = req.body || {};
+
+    const errors = validateRename(body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; '), errors });
+    }
+    const from = body.from.trim();
+    const to = body.to.trim();
+    const dryRun = body.dryRun === true;
+
+    const result = await withProjectDataLock(projectId, async () => {
+      if (!(await fs.pathExists(paths.dataPath))) {
+        throw createHttpError(404, 'Project not found');
+      }
+      const projectData = await fs.readJSON(paths.dataPath);
+
+      const documents = planRename(projectData.documents, 'theme', [from], to);
+      if (documents.length === 0) {
+        throw createHttpError(404, `No theme named "${from}"`);
+      }
+
+      if (!dryRun) {
+        applyRename(projectData.documents, 'theme', [from], to);
+        await fs.writeJSON(paths.dataPath, projectData, { spaces: 2 });
+      }
+
+      return { from, to, documents, documentsUpdated: dryRun ? 0 : documents.length };
+    });
+
+    res.json({ success: true, dryRun, ...result });
+  } catch (error) {
+    console.error('Rename theme error:', error);
+    res.status(error.httpStatus || 500).json({ error: error.message });
+  }
+});
+
+// Add character to document
+app.post('/api/documents/:id/characters', async (req, res) => {
+  try {
+    if (!req.body.character) {
+      return res.status(400).json({ error: 'Character name required' });
+    }
+
+    const projectId = getProjectId(req);
+    const paths = getProjectPaths(projectId);
+
+    const characters = await withProjectDataLock(projectId, async () => {
+      if (!(await fs.pathExists(paths.dataPath))) {
+        throw createHttpError(404, 'Project not found');
+      }
+
+      const projectData = await fs.readJSON(paths.dataPath);
+      const document = projectData.documents.find(d => d.id === req.params.id);
+      if (!document) {
+        throw createHttpError(404, 'Document not found');
+      }
+
+      // An alias is added under its canonical name
+      const character = resolveCharacterName(buildAliasIndex(await loadCharacterBible(paths.charactersPath)), req.body.character);
+      if (!document.characters) document.characters = [];
+
+      // Check if character already exists
+      if (document.characters.includes(character)) {
+        throw createHttpError(400, 'Character already exists');
+      }
+
+      document.characters.push(character);
+      await fs.writeJSON(paths.dataPath, projectData, { spaces: 2 });
+      return document.characters;
+    });
+
+    res.json({ success: true, characters });
+  } catch (error) {
+    console.error('Add character error:', error);
+    res.status(error.httpStatus || 500).json({ error: error.message });
+  }
+});
+
+// Remove character from document
+app.delete('/api/documents/:id/characters', async (req, res) => {
+  try {
+    const { character } = req.body;
+    if (!character) {
+      return res.status(400).json({ error: 'Character name required' });
+    }
+
+    const projectId = getProjectId(req);
+    const paths = getProjectPaths(projectId);
+
+    const characters = await withProjectDataLock(projectId, async () => {
+      if (!(await fs.pathExists(paths.dataPath))) {
+        throw createHttpError(404, 'Project not found');
+      }
+
+      const projectData = await fs.readJSON(paths.dataPath);
+      const document = projectData.documents.find(d => d.id === req.params.id);
+      if (!document) {
+        throw createHttpError(404, 'Document not found');
+      }
+      if (!document.characters) {
+        throw createHttpError(400, 'No characters found');
+      }
+
+      document.characters = document.characters.filter(c => c !== character);
+      await fs.writeJSON(paths.dataPath, projectData, { spaces: 2 });
+      return document.characters;
+    });
+
+    res.json({ success: true, characters });
+  } catch (error) {
+    console.error('Remove character error:', error);
+    res.status(error.httpStatus || 500).json({ error: error.message });
+  }
+});
+
+// Add theme to document
+app.post('/api/documents/:id/themes', async (req, res) => {
+  try {
+    const { theme } = req.body;
+    if (!theme) {
+      return res.status(400).json({ error: 'Theme required' });
+    }
+
+    const projectId = getProjectId(req);
+    const paths = getProjectPaths(projectId);
+
+    const themes = await withProjectDataLock(projectId, async () => {
+      if (!(await fs.pathExists(paths.dataPath))) {
+        throw createHttpError(404, 'Project not found');
+      }
+
+      const projectData = await fs.readJSON(paths.dataPath);
+      const document = projectData.documents.find(d => d.id === req.params.id);
+      if (!document) {
+        throw createHttpError(404, 'Document not found');
+      }
+      if (!document.themes) document.themes = [];
+
+      // Check if theme already exists
+      if (document.themes.includes(theme)) {
+        throw createHttpError(400, 'Theme already exists');
+      }
+
+      document.themes.push(theme);
+      await fs.writeJSON(paths.dataPath, projectData, { spaces: 2 });
+      return document.themes;
+    });
+
+    res.json({ success: true, themes });
+  } catch (error) {
+    console.error('Add theme error:', error);
+    res.status(error.httpStatus || 500).json({ error: error.message });
+  }
+});
+
+// Remove theme from document
+app.delete('/api/documents/:id/themes', async (req, res) => {
+  try {
+    const { theme } = req.body;
+    if (!theme) {
+      return res.status(400).json({ error: 'Theme required' });
+    }
+
+    const projectId = getProjectId(req);
+    const paths = getProjectPaths(projectId);
+
+    const themes = await withProjectDataLock(projectId, async () => {
+      if (!(await fs.pathExists(paths.dataPath))) {
+        throw createHttpError(404, 'Project not found');
+      }
+
+      const projectData = await fs.readJSON(paths.dataPath);
+      const document = projectData.documents.find(d => d.id === req.params.id);
+      if (!document) {
+        throw createHttpError(404, 'Document not found');
+      }
+      if (!document.themes) {
+        throw createHttpError(400, 'No themes found');
+      }
+
+      document.themes = document.themes.filter(t => t !== theme);
+      await fs.writeJSON(paths.dataPath, projectData, { spaces: 2 });
+      return document.themes;
+    });
+
+    res.json({ success: true, themes });
+  } catch (error) {
+    console.error('Remove theme error:', error);
+    res.status(error.httpStatus || 500).json({ error: error.message });
+  }
+});
+
+// Get full revision history for a document's chain
+app.get('/api/documents/:id/revisions', async (req, res) => {
+  try {
+    const projectId = getProjectId(req);
+    const paths = getProjectPaths(projectId);
+
+    if (await fs.pathExists(paths.dataPath)) {
+      const projectData = await fs.readJSON(paths.dataPath);
+      const document = projectData.documents.find(d => d.id === req.params.id);
+
+      if (document) {
+        const revisions = getRevisionChain(projectData.documents, document).map(d => ({
+          id: d.id,
+          filename: d.filename,
+          date: d.date,
+          uploadedAt: d.uploadedAt,
+          revision: d.revision || 1,
+          parentId: d.parentId || null,
+          type: d.type,
+          wordCount: d.wordCount,
+          summary: d.summary
+        }));
+
+        res.json({ success: true, chainId: getChainId(document), revisions });
+      } else {
+        res.status(404).json({ error: 'Document not found' });
+      }
+    } else {
+      res.status(404).json({ error: 'Project not found' });
+    }
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get full document text
+app.get('/api/documents/:id/text', async (req, res) => {
   try {
-    const { episodes, characterActions, sectionActions, themeAppearances, characterOrder } = req.body;
-
     const projectId = getProjectId(req);
     const paths = getProjectPaths(projectId);
 
@@ -1211,158 +2603,1359 @@ app.post('/api/story-grid/:id', async (req, res) => {
       const document = projectData.documents.find(d => d.id === req.params.id);
 
       if (document) {
-        // Save episodes, character actions, section actions, theme appearances, and character order to document
-        if (episodes) document.episodes = episodes;
-        if (characterActions) document.characterActions = characterActions;
-        if (sectionActions) document.sectionActions = sectionActions;
-        if (themeAppearances) document.themeAppearances = themeAppearances;
-        if (characterOrder) document.characterOrder = characterOrder;
-        document.gridUpdatedAt = new Date().toISOString();
+        const { text } = await getDocumentText(paths, document);
+        res.json({ success: true, text });
+      } else {
+        res.status(404).json({ error: 'Document not found' });
+      }
+    } else {
+      res.status(404).json({ error: 'Project not found' });
+    }
+  } catch (error) {
+    console.error('Get document text error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get parsed screenplay structure (title page, scene headings, dialogue, etc.)
+app.get('/api/documents/:id/screenplay', async (req, res) => {
+  try {
+    const projectId = getProjectId(req);
+    const paths = getProjectPaths(projectId);
+
+    if (await fs.pathExists(paths.dataPath)) {
+      const projectData = await fs.readJSON(paths.dataPath);
+      const document = projectData.documents.find(d => d.id === req.params.id);
+
+      if (!document) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+
+      const { screenplay } = await getDocumentText(paths, document);
+      if (!screenplay) {
+        res.status(404).json({ error: 'Document has no screenplay structure' });
+      } else {
+        res.json({ success: true, screenplay });
+      }
+    } else {
+      res.status(404).json({ error: 'Project not found' });
+    }
+  } catch (error) {
+    console.error('Get screenplay error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get per-character dialogue statistics for a script document
+app.get('/api/documents/:id/character-stats', async (req, res) => {
+  try {
+    const projectId = getProjectId(req);
+    const paths = getProjectPaths(projectId);
+
+    if (await fs.pathExists(paths.dataPath)) {
+      const projectData = await fs.readJSON(paths.dataPath);
+      const document = projectData.documents.find(d => d.id === req.params.id);
+
+      if (!document) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+
+      const cache = await getDocumentText(paths, document);
+      const model = getScreenplayModel(document, cache);
+
+      if (!model) {
+        return res.status(400).json({ error: 'Character statistics are only available for scripts (pilot, draft, trimmed draft, .fountain, .fdx)' });
+      }
+
+      res.json({
+        success: true,
+        sceneCount: model.scenes.filter(s => s.heading).length,
+        dialogueBlockCount: model.dialogueBlocks.length,
+        scenes: model.scenes.map(s => ({
+          index: s.index,
+          heading: s.heading,
+          sceneNumber: s.sceneNumber,
+          speakingCharacters: s.speakingCharacters
+        })),
+        characters: getCharacterStats(model)
+      });
+    } else {
+      res.status(404).json({ error: 'Project not found' });
+    }
+  } catch (error) {
+    console.error('Character stats error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export screenplay-structured document as Final Draft (.fdx)
+app.get('/api/documents/:id/export/fdx', async (req, res) => {
+  try {
+    const projectId = getProjectId(req);
+    const paths = getProjectPaths(projectId);
+
+    if (await fs.pathExists(paths.dataPath)) {
+      const projectData = await fs.readJSON(paths.dataPath);
+      const document = projectData.documents.find(d => d.id === req.params.id);
+
+      if (!document) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+
+      const { screenplay } = await getDocumentText(paths, document);
+      if (!screenplay) {
+        res.status(400).json({ error: 'Only screenplay documents (.fountain, .fdx) can be exported to Final Draft' });
+      } else {
+        const exportFilename = `${path.parse(document.filename).name}.fdx`;
+        res.attachment(exportFilename); // Encodes non-Latin-1 names (filename*=UTF-8'')
+        res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+        res.send(screenplayToFdx(screenplay));
+      }
+    } else {
+      res.status(404).json({ error: 'Project not found' });
+    }
+  } catch (error) {
+    console.error('Export FDX error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Generate a document's Story Grid with AI and save it.
+// Used by the update-grid route and background jobs; options are
+// { signal, onProgress, refresh }. The prompt and models come from the project's
+// storyGrid prompt settings. Long documents are built chunk by chunk.
+async function generateStoryGrid(projectId, documentId, options = {}) {
+  const { signal, onProgress, refresh = false } = options;
+  const paths = getProjectPaths(projectId);
+
+  const provider = await getProjectAIProvider(projectId, { refresh, documentId });
+  if (!provider.available) {
+    throw createHttpError(400, `AI analysis not available: ${provider.name} is not configured`);
+  }
+
+  const { document } = await loadProjectDocument(paths, documentId);
+
+  // Load full document text from the extraction cache
+  const { text, contentHash } = await getDocumentText(paths, document);
+
+  // Use existing characters from document (including manual edits)
+  const characters = document.characters || [];
+  const themes = document.themes || [];
+
+  if (characters.length === 0) {
+    throw createHttpError(400, 'No characters found in document. Please analyze the document first or add characters manually.');
+  }
+
+  const settings = await loadProjectSettings(projectId);
+  const promptConfig = getTaskPromptConfig(settings, 'storyGrid');
+  const chunks = getAnalysisChunks(text, document.sections, provider, GRID_CHUNK_CHARS);
+  const selectedChunks = selectChunks(chunks, settings.analysisMode);
+
+  console.log(`Generating story grid with AI (${selectedChunks.length} of ${chunks.length} part(s))...`);
+
+  // Map: build a grid for each chunk, then merge them in document order
+  const grids = [];
+  const analyzedChunks = [];
+  let lastError = null;
+
+  for (const chunk of selectedChunks) {
+    signal?.throwIfAborted();
+    onProgress?.(analyzedChunks.length, selectedChunks.length, `Building story grid (part ${chunk.index + 1} of ${chunks.length})`);
+
+    const partNote = chunks.length > 1
+      ? `\nThis is part ${chunk.index + 1} of ${chunks.length} of the document. Only list the episodes/acts that appear in this part, numbered from 1.\n`
+      : '';
+
+    // Fill the project's Story Grid prompt template
+    const prompt = renderPrompt(promptConfig.prompt, {
+      filename: document.filename,
+      documentType: document.type,
+      characters: characters.join(', '),
+      themes: themes.join(', '),
+      sections: chunk.sectionTitles.join(', ') || 'none',
+      partNote,
+      text: chunk.text
+    });
+
+    try {
+      // Validated against the grid schema, with a repair re-prompt if needed (see ai-schemas.js);
+      // falls back through the prompt's models on moderation or transient errors
+      const { value: { value } } = await completeWithFallback(getModelChain(promptConfig), model => completeWithSchema(provider, {
+        task: 'storyGrid',
+        model,
+        messages: [
+          {
+            role: 'user',
+            content: prompt
+          }
+        ],
+        temperature: 0.7,
+        maxTokens: 4000,
+        signal,
+        context: {
+          text: chunk.text,
+          characters,
+          themes,
+          sections: (document.sections || []).filter(section => chunk.sectionTitles.includes(section.title)),
+          documentType: document.type
+        }
+      }, STORY_GRID_SCHEMA), signal);
+
+      grids.push(value);
+      analyzedChunks.push(chunk.index);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.error(`Story grid error (part ${chunk.index + 1} of ${chunks.length}):`, error.message);
+      lastError = error;
+    }
+  }
+
+  if (grids.length === 0) {
+    throw lastError;
+  }
+
+  const gridData = grids.length === 1 ? grids[0] : mergeStoryGrids(grids);
+  const coverage = buildCoverage(text, chunks, analyzedChunks, chunks.length === 1 ? 'full' : settings.analysisMode || 'chunked');
+
+  // Save to document (reloaded, as it may have been edited while the AI was working)
+  return withProjectDataLock(projectId, async () => {
+    const latest = await loadProjectDocument(paths, documentId);
+    latest.document.episodes = gridData.episodes;
+    latest.document.characterActions = gridData.characterActions;
+    latest.document.themeAppearances = gridData.themeAppearances || {};
+    latest.document.inStoryGrid = true;
+    latest.document.gridUpdatedAt = new Date().toISOString();
+    latest.document.gridCoverage = coverage;
+    latest.document.gridFingerprint = getGridFingerprint(contentHash, document, settings, provider);
+
+    const characterIndex = buildAliasIndex(await loadCharacterBible(paths.charactersPath));
+    rewriteDocumentCharacters(latest.document, name => resolveCharacterName(characterIndex, name));
+
+    await fs.writeJSON(paths.dataPath, latest.projectData, { spaces: 2 });
+
+    return {
+      episodes: gridData.episodes,
+      characterActions: latest.document.characterActions,
+      themeAppearances: latest.document.themeAppearances,
+      coverage
+    };
+  });
+}
+
+// Update grid (mark document for Story Grid inclusion with AI analysis)
+app.post('/api/documents/:id/update-grid', async (req, res) => {
+  try {
+    // The grid's model comes from the project's storyGrid prompt settings
+    await assertWithinBudget(getProjectId(req));
+    const grid = await generateStoryGrid(getProjectId(req), req.params.id, { refresh: req.body?.refresh === true });
+
+    res.json({
+      success: true,
+      message: 'Story grid generated with AI',
+      ...grid
+    });
+  } catch (error) {
+    console.error('Update grid error:', error);
+    res.status(error.httpStatus || 500).json({ error: error.message, ...(error.fields ? { fields: error.fields } : {}) });
+  }
+});
+
+// Save story grid data for a specific document
+app.post('/api/story-grid/:id', async (req, res) => {
+  try {
+    const { episodes, characterActions, sectionActions, themeAppearances, characterOrder } = req.body;
+
+    const projectId = getProjectId(req);
+    const paths = getProjectPaths(projectId);
+
+    await withProjectDataLock(projectId, async () => {
+      if (!(await fs.pathExists(paths.dataPath))) {
+        throw createHttpError(404, 'Project not found');
+      }
+
+      const projectData = await fs.readJSON(paths.dataPath);
+      const document = projectData.documents.find(d => d.id === req.params.id);
+      if (!document) {
+        throw createHttpError(404, 'Document not found');
+      }
+
+      // Save episodes, character actions, section actions, theme appearances, and character order to document
+      if (episodes) document.episodes = episodes;
+      if (characterActions) document.characterActions = characterActions;
+      if (sectionActions) document.sectionActions = sectionActions;
+      if (themeAppearances) document.themeAppearances = themeAppearances;
+      if (characterOrder) document.characterOrder = characterOrder;
+      document.gridUpdatedAt = new Date().toISOString();
+
+      await fs.writeJSON(paths.dataPath, projectData, { spaces: 2 });
+    });
+
+    res.json({ success: true, message: 'Story grid saved' });
+  } catch (error) {
+    console.error('Save story grid error:', error);
+    res.status(error.httpStatus || 500).json({ error: error.message });
+  }
+});
+
+// Extract the relationships between a document's characters with AI, chunk
+// by chunk, and save them on the document (see relationships.js). Names are
+// mapped onto the character bible. options are { signal, onProgress, refresh }.
+async function extractDocumentRelationships(projectId, documentId, options = {}) {
+  const { signal, onProgress, refresh = false } = options;
+  const paths = getProjectPaths(projectId);
+
+  const provider = await getProjectAIProvider(projectId, { refresh, documentId });
+  if (!provider.available) {
+    throw createHttpError(400, `AI analysis not available: ${provider.name} is not configured`);
+  }
+
+  const { document } = await loadProjectDocument(paths, documentId);
+  const { text } = await getDocumentText(paths, document);
+  const characters = document.characters || [];
+
+  const settings = await loadProjectSettings(projectId);
+  const promptConfig = getTaskPromptConfig(settings, 'relationships');
+  const chunks = getAnalysisChunks(text, document.sections, provider, ANALYSIS_CHUNK_CHARS);
+  const selectedChunks = selectChunks(chunks, settings.analysisMode);
+
+  const relationships = [];
+  const analyzedChunks = [];
+  let lastError = null;
+
+  for (const chunk of selectedChunks) {
+    signal?.throwIfAborted();
+    onProgress?.(analyzedChunks.length, selectedChunks.length, `Reading relationships (part ${chunk.index + 1} of ${chunks.length})`);
+
+    const prompt = renderPrompt(promptConfig.prompt, {
+      filename: document.filename,
+      documentType: document.type,
+      characters: characters.join(', ') || 'none identified yet',
+      partNote: chunks.length > 1 ? `\nThis is part ${chunk.index + 1} of ${chunks.length} of the document.\n` : '',
+      text: chunk.text
+    });
+
+    try {
+      const { value: { value } } = await completeWithFallback(getModelChain(promptConfig), model => completeWithSchema(provider, {
+        task: 'relationships',
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        json: true,
+        signal,
+        context: { text: chunk.text, characters }
+      }, RELATIONSHIPS_SCHEMA), signal);
+      relationships.push(...value.relationships);
+      analyzedChunks.push(chunk.index);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.error(`Relationships error for ${document.filename} (part ${chunk.index + 1} of ${chunks.length}):`, error.message);
+      lastError = error;
+    }
+  }
+
+  if (analyzedChunks.length === 0) {
+    throw lastError;
+  }
+  const coverage = buildCoverage(text, chunks, analyzedChunks, chunks.length === 1 ? 'full' : settings.analysisMode || 'chunked');
+
+  // Reload before saving: the document may have been edited while the AI was working
+  return withProjectDataLock(projectId, async () => {
+    const latest = await loadProjectDocument(paths, documentId);
+    const characterIndex = buildAliasIndex(await loadCharacterBible(paths.charactersPath));
+    latest.document.relationships = normalizeRelationships(relationships, name => resolveCharacterName(characterIndex, name));
+    latest.document.relationshipsUpdatedAt = new Date().toISOString();
+    latest.document.relationshipsCoverage = coverage;
+
+    await fs.writeJSON(paths.dataPath, latest.projectData, { spaces: 2 });
+    return { relationships: latest.document.relationships, coverage };
+  });
+}
+
+// Extract a document's character relationships with AI
+app.post('/api/documents/:id/relationships', async (req, res) => {
+  try {
+    await assertWithinBudget(getProjectId(req));
+    const result = await extractDocumentRelationships(getProjectId(req), req.params.id, { refresh: req.body?.refresh === true });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Extract relationships error:', error);
+    res.status(error.httpStatus || 500).json({ error: error.message, ...(error.fields ? { fields: error.fields } : {}) });
+  }
+});
+
+// Helper function to find the two documents to compare, older first
+// (id2 'previous' compares a revision with the one it replaced)
+function findComparisonDocuments(projectData, id1, id2) {
+  const compareWithPrevious = id2 === 'previous';
+  let doc1 = projectData.documents.find(d => d.id === id1);
+  let doc2;
+
+  if (compareWithPrevious) {
+    // /api/compare/:id/previous compares a revision with the one it replaced
+    if (doc1 && !doc1.parentId) {
+      throw createHttpError(400, 'Document has no previous revision');
+    }
+    doc2 = doc1;
+    doc1 = doc2 ? projectData.documents.find(d => d.id === doc2.parentId) : null;
+  } else {
+    doc2 = projectData.documents.find(d => d.id === id2);
+  }
+
+  if (!doc1 || !doc2) {
+    throw createHttpError(404, 'One or both documents not found');
+  }
+
+  // Ensure doc1 is older, doc2 is newer (by date; revisions are already in order)
+  if (!compareWithPrevious && new Date(doc1.date) > new Date(doc2.date)) {
+    [doc1, doc2] = [doc2, doc1]; // Swap
+  }
+
+  return { doc1, doc2 };
+}
+
+// Helper function to calculate the word, character, theme and section changes between two documents
+function compareDocumentStats(doc1, doc2, text1, text2) {
+  // Generate diff
+  const textDiff = Diff.diffWords(text1, text2);
+
+  // Calculate statistics
+  let added = 0, removed = 0, unchanged = 0;
+  textDiff.forEach(part => {
+    const wordCount = part.value.split(/\s+/).filter(w => w.length > 0).length;
+    if (part.added) added += wordCount;
+    else if (part.removed) removed += wordCount;
+    else unchanged += wordCount;
+  });
+
+  // Character changes
+  const newCharacters = doc2.characters.filter(c => !doc1.characters.includes(c));
+  const removedCharacters = doc1.characters.filter(c => !doc2.characters.includes(c));
+
+  // Theme changes
+  const newThemes = doc2.themes.filter(t => !doc1.themes.includes(t));
+  const removedThemes = doc1.themes.filter(t => !doc2.themes.includes(t));
+  const unchangedThemes = doc1.themes.filter(t => doc2.themes.includes(t));
+
+  // Thematic shift analysis
+  const themeCountChange = doc2.themes.length - doc1.themes.length;
+  const thematicShift = {
+    added: newThemes.length,
+    removed: removedThemes.length,
+    unchanged: unchangedThemes.length,
+    totalChange: newThemes.length + removedThemes.length,
+    netChange: themeCountChange,
+    shiftPercentage: doc1.themes.length > 0
+      ? Math.round(((newThemes.length + removedThemes.length) / doc1.themes.length) * 100)
+      : 0
+  };
+
+  // Section changes (comparing section titles)
+  const doc1SectionTitles = doc1.sections.map(s => s.title);
+  const doc2SectionTitles = doc2.sections.map(s => s.title);
+  const newSections = doc2.sections.filter(s => !doc1SectionTitles.includes(s.title));
+  const removedSections = doc1.sections.filter(s => !doc2SectionTitles.includes(s.title));
+
+  return {
+    wordsAdded: added,
+    wordsRemoved: removed,
+    wordsUnchanged: unchanged,
+    wordCountChange: doc2.wordCount - doc1.wordCount,
+    newCharacters,
+    removedCharacters,
+    newThemes,
+    removedThemes,
+    unchangedThemes,
+    thematicShift,
+    newSections,
+    removedSections,
+    sectionCountChange: doc2.sections.length - doc1.sections.length
+  };
+}
+
+// Generate the AI comparison brief for two documents.
+// Used by background compare brief jobs; options are { signal, refresh }.
+async function generateDocumentComparisonBrief(projectId, id1, id2, options = {}) {
+  const paths = getProjectPaths(projectId);
+  if (!(await fs.pathExists(paths.dataPath))) {
+    throw createHttpError(404, 'Project data not found');
+  }
+
+  const projectData = await fs.readJSON(paths.dataPath);
+  const { doc1, doc2 } = findComparisonDocuments(projectData, id1, id2);
+
+  const provider = await getProjectAIProvider(projectId, {
+    refresh: options.refresh,
+    documentId: doc2.id,
+    otherDocumentId: doc1.id
+  });
+  if (!provider.available) {
+    throw createHttpError(400, `AI analysis not available: ${provider.name} is not configured`);
+  }
+
+  const { text: text1 } = await getDocumentText(paths, doc1);
+  const { text: text2 } = await getDocumentText(paths, doc2);
+  const stats = compareDocumentStats(doc1, doc2, text1, text2);
+
+  const promptConfig = getTaskPromptConfig(await loadProjectSettings(projectId), 'compareBrief');
+  const brief = await generateComparisonBrief(doc1, doc2, stats, text1.substring(0, 500), text2.substring(0, 500), provider, options.signal, promptConfig);
+  if (!brief) {
+    throw new Error('Comparison brief generation failed');
+  }
+
+  return { doc1Id: doc1.id, doc2Id: doc2.id, brief };
+}
+
+// Compare two documents
+app.get('/api/compare/:id1/:id2', async (req, res) => {
+  try {
+    const projectId = getProjectId(req);
+    const paths = getProjectPaths(projectId);
+
+    if (await fs.pathExists(paths.dataPath)) {
+      const projectData = await fs.readJSON(paths.dataPath);
+      const { doc1, doc2 } = findComparisonDocuments(projectData, req.params.id1, req.params.id2);
+
+      // Load cached text for both documents
+      const { text: text1 } = await getDocumentText(paths, doc1);
+      const { text: text2 } = await getDocumentText(paths, doc2);
+
+      const stats = compareDocumentStats(doc1, doc2, text1, text2);
+
+      // Generate AI brief if an AI provider is configured and the monthly
+      // budget isn't spent (cached per project; ?refresh=true generates a new one)
+      const { exceeded: budgetExceeded } = await getBudgetStatus(projectId);
+      const brief = budgetExceeded ? null : await generateComparisonBrief(
+        doc1,
+        doc2,
+        stats,
+        text1.substring(0, 500),
+        text2.substring(0, 500),
+        await getProjectAIProvider(projectId, {
+          refresh: req.query.refresh === 'true',
+          documentId: doc2.id,
+          otherDocumentId: doc1.id
+        }),
+        null,
+        getTaskPromptConfig(await loadProjectSettings(projectId), 'compareBrief')
+      );
+
+      res.json({
+        doc1: {
+          id: doc1.id,
+          filename: doc1.filename,
+          title: doc1.title || null,
+          date: doc1.date,
+          revision: doc1.revision || 1,
+          wordCount: doc1.wordCount,
+          characters: doc1.characters,
+          themes: doc1.themes,
+          sections: doc1.sections
+        },
+        doc2: {
+          id: doc2.id,
+          filename: doc2.filename,
+          title: doc2.title || null,
+          date: doc2.date,
+          revision: doc2.revision || 1,
+          wordCount: doc2.wordCount,
+          characters: doc2.characters,
+          themes: doc2.themes,
+          sections: doc2.sections
+        },
+        stats,
+        brief: brief || null,
+        budgetExceeded
+      });
+    } else {
+      res.status(404).json({ error: 'Project data not found' });
+    }
+  } catch (error) {
+    console.error('Compare error:', error);
+    res.status(error.httpStatus || 500).json({ error: error.message });
+  }
+});
+
+// Work out which of a project's documents need AI analysis (see batch-analysis.js).
+// Returns the project data, settings and provider with a plan entry
+// { document, contentHash, reason } per document; reason is null when the
+// document's text, prompt and model haven't changed since its last analysis.
+async function planProjectAnalysis(projectId, options = {}) {
+  const paths = getProjectPaths(projectId);
+  if (!(await fs.pathExists(paths.dataPath))) {
+    throw createHttpError(404, 'Project data not found');
+  }
+
+  const provider = await getProjectAIProvider(projectId);
+  if (!provider.available) {
+    throw createHttpError(400, `AI analysis not available: ${provider.name} is not configured`);
+  }
+
+  const projectData = await fs.readJSON(paths.dataPath);
+  const settings = await loadProjectSettings(projectId);
+  const plan = [];
+
+  for (const document of projectData.documents) {
+    const { contentHash } = await getDocumentText(paths, document);
+    const currentFingerprint = getAnalysisFingerprint(contentHash, settings, document.type, provider);
+    plan.push({ document, contentHash, reason: getAnalysisReason(document, currentFingerprint, options.force) });
+  }
+
+  return { projectData, settings, provider, plan };
+}
+
+// Check a draft against the open notes from earlier documents and store which
+// ones it appears to address as proposals on the items (nothing is resolved).
+// Used by the check-notes route and background jobs; options are
+// { signal, onProgress, refresh }. Long drafts are checked chunk by chunk, and
+// a note counts as addressed if any part addresses it.
+async function checkDraftAgainstNotes(projectId, documentId, options = {}) {
+  const { signal, onProgress, refresh = false } = options;
+  const paths = getProjectPaths(projectId);
+
+  const provider = await getProjectAIProvider(projectId, { refresh, documentId });
+  if (!provider.available) {
+    throw createHttpError(400, `AI analysis not available: ${provider.name} is not configured`);
+  }
+
+  const { projectData, document } = await loadProjectDocument(paths, documentId);
+  const openItems = getOpenItemsForDraft(await loadActionItems(paths.actionItemsPath), projectData.documents, document);
+  if (openItems.length === 0) {
+    return { documentId, checked: 0, addressed: 0, items: [] };
+  }
+
+  const { text } = await getDocumentText(paths, document);
+  const settings = await loadProjectSettings(projectId);
+  const promptConfig = getTaskPromptConfig(settings, 'notesCheck');
+  const chunks = getAnalysisChunks(text, document.sections, provider, ANALYSIS_CHUNK_CHARS);
+  const selectedChunks = selectChunks(chunks, settings.analysisMode);
+  const openIds = new Set(openItems.map(item => item.id));
+  const results = new Map(); // item id -> { id, addressed, evidence }
+  let checkedChunks = 0;
+  let lastError = null;
+
+  for (const chunk of selectedChunks) {
+    signal?.throwIfAborted();
+    onProgress?.(checkedChunks, selectedChunks.length, `Checking notes (part ${chunk.index + 1} of ${chunks.length})`);
+
+    const prompt = renderPrompt(promptConfig.prompt, {
+      filename: document.filename,
+      notes: formatItemsForPrompt(openItems),
+      partNote: chunks.length > 1
+        ? `\nThis is part ${chunk.index + 1} of ${chunks.length} of the draft. Mark a note addressed only if this part addresses it.\n`
+        : '',
+      text: chunk.text
+    });
+
+    try {
+      const { value: { value } } = await completeWithFallback(getModelChain(promptConfig), model => completeWithSchema(provider, {
+        task: 'notesCheck',
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        json: true,
+        signal,
+        context: { text: chunk.text, filename: document.filename, items: openItems.map(item => ({ id: item.id, kind: item.kind, text: item.text })) }
+      }, NOTES_CHECK_SCHEMA), signal);
+
+      for (const result of value.results) {
+        if (!openIds.has(result.id) || results.get(result.id)?.addressed) continue;
+        results.set(result.id, result);
+      }
+      checkedChunks++;
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.error(`Notes check error (part ${chunk.index + 1} of ${chunks.length}):`, error.message);
+      lastError = error;
+    }
+  }
+
+  if (checkedChunks === 0) {
+    throw lastError;
+  }
+
+  // Reload before saving: items may have been resolved while the AI was working
+  return withProjectDataLock(projectId, async () => {
+    const items = applyProposals(await loadActionItems(paths.actionItemsPath), documentId, [...results.values()]);
+    await saveActionItems(paths.actionItemsPath, items);
+
+    const checked = items.filter(item => openIds.has(item.id));
+    return {
+      documentId,
+      checked: checked.length,
+      addressed: checked.filter(item => item.proposal?.documentId === documentId && item.proposal.addressed).length,
+      items: checked
+    };
+  });
+}
+
+// List the project's tracked notes (action items and questions)
+// Query: ?status=open|addressed|declined, ?documentId= (notes document), ?assignee=
+app.get('/api/action-items', async (req, res) => {
+  try {
+    const projectId = getProjectId(req);
+    const paths = getProjectPaths(projectId);
+
+    if (req.query.status !== undefined && !ACTION_ITEM_STATUSES.includes(req.query.status)) {
+      return res.status(400).json({ error: `status must be one of: ${ACTION_ITEM_STATUSES.join(', ')}` });
+    }
+    if (!(await fs.pathExists(paths.dataPath))) {
+      return res.json({ items: [], statuses: ACTION_ITEM_STATUSES });
+    }
+
+    // Documents analyzed before notes were tracked get their items now
+    const items = await withProjectDataLock(projectId, async () => {
+      const projectData = await fs.readJSON(paths.dataPath);
+      let tracked = await loadActionItems(paths.actionItemsPath);
+      const untracked = projectData.documents.filter(d =>
+        ((d.actionItems || []).length > 0 || (d.questions || []).length > 0) &&
+        !tracked.some(item => item.sourceDocumentId === d.id));
+      if (untracked.length > 0) {
+        tracked = untracked.reduce((list, document) => syncDocumentItems(list, document), tracked);
+        await saveActionItems(paths.actionItemsPath, tracked);
+      }
+      return tracked;
+    });
+
+    const filtered = items.filter(item =>
+      (!req.query.status || item.status === req.query.status) &&
+      (!req.query.documentId || item.sourceDocumentId === req.query.documentId) &&
+      (!req.query.assignee || item.assignee === req.query.assignee));
+
+    res.json({ items: filtered, statuses: ACTION_ITEM_STATUSES });
+  } catch (error) {
+    console.error('List action items error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a tracked note: { status, assignee, resolvedByDocumentId, note, proposal: null }
+app.patch('/api/action-items/:id', async (req, res) => {
+  try {
+    const projectId = getProjectId(req);
+    const paths = getProjectPaths(projectId);
+    const update = req.body || {};
+
+    const item = await withProjectDataLock(projectId, async () => {
+      if (!(await fs.pathExists(paths.dataPath))) {
+        throw createHttpError(404, 'Action item not found');
+      }
+      const projectData = await fs.readJSON(paths.dataPath);
+      const items = await loadActionItems(paths.actionItemsPath);
+      const index = items.findIndex(i => i.id === req.params.id);
+      if (index === -1) {
+        throw createHttpError(404, 'Action item not found');
+      }
+
+      const errors = validateActionItemUpdate(update, projectData.documents.map(d => d.id));
+      if (errors.length > 0) {
+        const error = createHttpError(400, errors.join('; '));
+        error.errors = errors;
+        throw error;
+      }
+
+      items[index] = applyActionItemUpdate(items[index], update);
+      await saveActionItems(paths.actionItemsPath, items);
+      return items[index];
+    });
+
+    res.json({ success: true, item });
+  } catch (error) {
+    console.error('Update action item error:', error);
+    res.status(error.httpStatus || 500).json({ error: error.message, ...(error.errors ? { errors: error.errors } : {}) });
+  }
+});
+
+// Check a draft against the open notes with AI (proposals only, nothing is resolved)
+app.post('/api/documents/:id/check-notes', async (req, res) => {
+  try {
+    await assertWithinBudget(getProjectId(req));
+    const result = await checkDraftAgainstNotes(getProjectId(req), req.params.id, { refresh: req.body?.refresh === true });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Check notes error:', error);
+    res.status(error.httpStatus || 500).json({ error: error.message, ...(error.fields ? { fields: error.fields } : {}) });
+  }
+});
+
+// Extract a document's story facts for continuity checking, chunk by chunk
+async function extractContinuityFacts(document, text, { provider, promptConfig, settings, signal }) {
+  const chunks = getAnalysisChunks(text, document.sections, provider, ANALYSIS_CHUNK_CHARS);
+  const selectedChunks = selectChunks(chunks, settings.analysisMode);
+  const facts = [];
+  let extractedChunks = 0;
+  let lastError = null;
+
+  for (const chunk of selectedChunks) {
+    signal?.throwIfAborted();
+    const prompt = renderPrompt(promptConfig.prompt, {
+      filename: document.filename,
+      documentType: document.type,
+      partNote: chunks.length > 1 ? `\nThis is part ${chunk.index + 1} of ${chunks.length} of the document.\n` : '',
+      text: chunk.text
+    });
+
+    try {
+      const { value: { value } } = await completeWithFallback(getModelChain(promptConfig), model => completeWithSchema(provider, {
+        task: 'continuityFacts',
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        json: true,
+        signal,
+        context: { text: chunk.text, filename: document.filename, documentType: document.type }
+      }, FACTS_SCHEMA), signal);
+      facts.push(...value.facts);
+      extractedChunks++;
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.error(`Continuity facts error for ${document.filename} (part ${chunk.index + 1} of ${chunks.length}):`, error.message);
+      lastError = error;
+    }
+  }
+
+  if (extractedChunks === 0) {
+    throw lastError;
+  }
+  return normalizeFacts(facts, document);
+}
+
+// Check a project's story documents for contradictions (see continuity.js).
+// Facts are re-extracted only from documents whose text, prompt or model
+// changed (or all of them with force); a document that fails is reported and
+// the check carries on without it. options are { force, refresh, signal, onProgress }.
+async function checkProjectContinuity(projectId, options = {}) {
+  const { force = false, refresh = false, signal, onProgress } = options;
+  const paths = getProjectPaths(projectId);
+
+  const provider = await getProjectAIProvider(projectId, { refresh });
+  if (!provider.available) {
+    throw createHttpError(400, `AI analysis not available: ${provider.name} is not configured`);
+  }
+  if (!(await fs.pathExists(paths.dataPath))) {
+    throw createHttpError(404, 'Project data not found');
+  }
+
+  const projectData = await fs.readJSON(paths.dataPath);
+  const settings = await loadProjectSettings(projectId);
+  const factsPrompt = getTaskPromptConfig(settings, 'continuityFacts');
+  const checkPrompt = getTaskPromptConfig(settings, 'continuityCheck');
+  const previous = await loadContinuity(paths.continuityPath);
+  const documents = projectData.documents.filter(isStoryDocument);
+  const documentsById = Object.fromEntries(documents.map(d => [d.id, d]));
+
+  // Pass 1: facts per document
+  const extracted = {};
+  const results = [];
+  for (const [index, document] of documents.entries()) {
+    signal?.throwIfAborted();
+    onProgress?.(index, documents.length + 1, `Reading facts from ${document.title || document.filename}`);
+
+    try {
+      const { text, contentHash } = await getDocumentText(paths, document);
+      const factsFingerprint = fingerprint([contentHash, factsPrompt.prompt, factsPrompt.model, provider.type, provider.name, settings.analysisMode || 'chunked']);
+      const stored = previous.documents[document.id];
+
+      if (!force && stored?.fingerprint === factsFingerprint) {
+        extracted[document.id] = stored;
+        results.push({ documentId: document.id, filename: document.filename, status: 'skipped', error: null });
+        continue;
+      }
+
+      const facts = await extractContinuityFacts(document, text, { provider, promptConfig: factsPrompt, settings, signal });
+      extracted[document.id] = { fingerprint: factsFingerprint, facts, extractedAt: new Date().toISOString() };
+      results.push({ documentId: document.id, filename: document.filename, status: 'extracted', error: null });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      // Keep the facts from the last successful read, if any
+      if (previous.documents[document.id]) extracted[document.id] = previous.documents[document.id];
+      results.push({ documentId: document.id, filename: document.filename, status: 'failed', error: error.message });
+    }
+  }
+
+  // Pass 2: contradictions between facts about the same subject
+  onProgress?.(documents.length, documents.length + 1, 'Looking for contradictions');
+  // Subjects are mapped onto the character bible, so facts about "John" and
+  // "John Smith" are compared
+  const characterIndex = buildAliasIndex(await loadCharacterBible(paths.charactersPath));
+  const allFacts = Object.values(extracted)
+    .flatMap(entry => entry.facts)
+    .map(fact => ({ ...fact, subject: resolveCharacterName(characterIndex, fact.subject) }));
+  const factsById = new Map(allFacts.map(fact => [fact.id, fact]));
+  const contradictions = [];
+  for (const batch of groupFactsForCheck(allFacts)) {
+    signal?.throwIfAborted();
+    const { value: { value } } = await completeWithFallback(getModelChain(checkPrompt), model => completeWithSchema(provider, {
+      task: 'continuityCheck',
+      model,
+      messages: [{ role: 'user', content: renderPrompt(checkPrompt.prompt, { facts: formatFactsForPrompt(batch, documentsById) }) }],
+      json: true,
+      signal,
+      context: { facts: batch }
+    }, CONTRADICTIONS_SCHEMA), signal);
+    contradictions.push(...value.findings);
+  }
+
+  const current = buildFindings(contradictions, factsById, documentsById);
+
+  // Reload before saving: findings may have been dismissed while the AI was working
+  return withProjectDataLock(projectId, async () => {
+    const latest = await loadContinuity(paths.continuityPath);
+    const findings = mergeFindings(latest.findings, current);
+    const checkedAt = new Date().toISOString();
+    await saveContinuity(paths.continuityPath, { documents: extracted, findings, checkedAt });
+
+    const count = status => findings.filter(finding => finding.status === status).length;
+    return {
+      checkedAt,
+      documents: results,
+      factCount: allFacts.length,
+      findings: { open: count('open'), dismissed: count('dismissed'), resolved: count('resolved') }
+    };
+  });
+}
+
+// Get the project's continuity findings (?status=open|dismissed|resolved)
+app.get('/api/projects/:id/continuity', async (req, res) => {
+  try {
+    const paths = getProjectPaths(req.params.id);
+    if (!(await fs.pathExists(paths.projectDir))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (req.query.status !== undefined && !FINDING_STATUSES.includes(req.query.status)) {
+      return res.status(400).json({ error: `status must be one of: ${FINDING_STATUSES.join(', ')}` });
+    }
+
+    const continuity = await loadContinuity(paths.continuityPath);
+    const findings = continuity.findings.filter(finding => !req.query.status || finding.status === req.query.status);
+    const facts = Object.values(continuity.documents).flatMap(entry => entry.facts);
+
+    res.json({
+      checkedAt: continuity.checkedAt,
+      factCount: facts.length,
+      documentCount: Object.keys(continuity.documents).length,
+      findings,
+      statuses: FINDING_STATUSES
+    });
+  } catch (error) {
+    console.error('Get continuity error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run a continuity check as a background job. Body: { force, refresh }; a
+// check already queued or running is returned instead of a second one.
+app.post('/api/projects/:id/continuity', async (req, res) => {
+  try {
+    const projectId = req.params.id;
+    const { force = false, refresh = false } = req.body || {};
+
+    const errors = [];
+    for (const [name, value] of Object.entries({ force, refresh })) {
+      if (typeof value !== 'boolean') errors.push(`${name} must be a boolean`);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; '), errors });
+    }
+    if (!(await fs.pathExists(getProjectPaths(projectId).dataPath))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const jobs = await jobQueue.list(projectId);
+    const existing = jobs.find(job => job.type === 'continuityCheck' && ACTIVE_STATUSES.includes(job.status));
+    if (existing) {
+      return res.json({ success: true, job: existing, existing: true });
+    }
+
+    await assertWithinBudget(projectId);
+
+    const job = await jobQueue.enqueue(projectId, 'continuityCheck', { force, refresh });
+    res.status(202).json({ success: true, job });
+  } catch (error) {
+    console.error('Continuity check error:', error);
+    res.status(error.httpStatus || 500).json({ error: error.message });
+  }
+});
+
+// Dismiss or reopen a continuity finding: { status: 'dismissed' | 'open', reason }
+app.patch('/api/projects/:id/continuity/findings/:findingId', async (req, res) => {
+  try {
+    const projectId = req.params.id;
+    const paths = getProjectPaths(projectId);
+    const update = req.body || {};
+
+    const errors = validateFindingUpdate(update);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; '), errors });
+    }
+
+    const finding = await withProjectDataLock(projectId, async () => {
+      const continuity = await loadContinuity(paths.continuityPath);
+      const index = continuity.findings.findIndex(f => f.id === req.params.findingId);
+      if (index === -1) {
+        throw createHttpError(404, 'Finding not found');
+      }
+
+      continuity.findings[index] = applyFindingUpdate(continuity.findings[index], update);
+      await saveContinuity(paths.continuityPath, continuity);
+      return continuity.findings[index];
+    });
+
+    res.json({ success: true, finding });
+  } catch (error) {
+    console.error('Update continuity finding error:', error);
+    res.status(error.httpStatus || 500).json({ error: error.message });
+  }
+});
+
+// Analyze every unclassified or stale document in a project, a few at a time.
+// A failing document is reported and the batch carries on. With includeGrid,
+// Story Grids are regenerated for documents whose text, characters or themes
+// changed. options are { model, includeGrid, force, concurrency, refresh, signal, onProgress }.
+async function analyzeProject(projectId, options = {}) {
+  const { model = 'openai/gpt-4o', includeGrid = false, force = false, refresh = false, signal, onProgress } = options;
+  const { settings, provider, plan } = await planProjectAnalysis(projectId, { force });
+  const paths = getProjectPaths(projectId);
+
+  const pending = plan.filter(entry => entry.reason || includeGrid);
+  let completed = 0;
+  onProgress?.(0, pending.length, `${pending.length} of ${plan.length} document(s) to process`);
+
+  const processDocument = async ({ document, contentHash, reason }) => {
+    const entry = { documentId: document.id, filename: document.filename, status: 'skipped', reason, error: null, grid: null };
+
+    if (reason) {
+      try {
+        await analyzeDocument(projectId, document.id, { model, signal, refresh });
+        entry.status = 'analyzed';
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        entry.status = 'failed';
+        entry.error = error.message;
+      }
+    }
+
+    if (includeGrid && entry.status !== 'failed') {
+      entry.grid = await regenerateStaleGrid(projectId, paths, document.id, contentHash, { settings, provider, signal, refresh });
+    }
+
+    completed++;
+    onProgress?.(completed, pending.length, `Processed ${document.title || document.filename}`);
+    return entry;
+  };
+
+  const processed = await runWithConcurrency(pending, normalizeConcurrency(options.concurrency), processDocument, signal);
+  const processedIds = new Set(processed.map(entry => entry.documentId));
+
+  // Up-to-date documents are reported as skipped, in timeline order
+  const documents = plan.map(({ document, reason }) => processedIds.has(document.id)
+    ? processed.find(entry => entry.documentId === document.id)
+    : { documentId: document.id, filename: document.filename, status: 'skipped', reason, error: null, grid: null });
+
+  return { ...summarizeBatch(documents), includeGrid, documents };
+}
+
+// Regenerate a document's Story Grid if what it depends on changed since it
+// was last generated. Returns { status: 'generated' | 'skipped' | 'failed', reason, error }.
+async function regenerateStaleGrid(projectId, paths, documentId, contentHash, { settings, provider, signal, refresh }) {
+  const { document } = await loadProjectDocument(paths, documentId);
+
+  if ((document.characters || []).length === 0) {
+    return { status: 'skipped', reason: 'No characters to build a grid from', error: null };
+  }
+  if (document.inStoryGrid && document.gridFingerprint === getGridFingerprint(contentHash, document, settings, provider)) {
+    return { status: 'skipped', reason: 'Story grid is up to date', error: null };
+  }
+
+  try {
+    await generateStoryGrid(projectId, documentId, { signal, refresh });
+    return { status: 'generated', reason: null, error: null };
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    return { status: 'failed', reason: null, error: error.message };
+  }
+}
+
+// Background AI jobs (see job-queue.js). Each handler gets the job and
+// { signal, reportProgress } and returns a small result summary; the documents
+// themselves are updated in project-data.json as with the synchronous routes.
+const jobQueue = createJobQueue({
+  getJobsPath: projectId => getProjectPaths(projectId).jobsPath,
+  listProjectIds,
+  handlers: {
+    analyze: async (job, { signal, reportProgress }) => {
+      const document = await analyzeDocument(job.projectId, job.params.documentId, {
+        model: job.params.model,
+        refresh: job.params.refresh,
+        signal,
+        onProgress: reportProgress
+      });
+      return {
+        documentId: document.id,
+        type: document.type,
+        characterCount: (document.characters || []).length,
+        coverage: document.analysisCoverage || null
+      };
+    },
+    updateGrid: async (job, { signal, reportProgress }) => {
+      const grid = await generateStoryGrid(job.projectId, job.params.documentId, {
+        refresh: job.params.refresh,
+        signal,
+        onProgress: reportProgress
+      });
+      return { documentId: job.params.documentId, episodeCount: grid.episodes.length, coverage: grid.coverage };
+    },
+    classify: async (job, { signal }) => {
+      const { type, previousType } = await classifyDocumentTypeWithAI(job.projectId, job.params.documentId, {
+        model: job.params.model,
+        refresh: job.params.refresh,
+        signal
+      });
+      return { documentId: job.params.documentId, type, previousType };
+    },
+    compareBrief: async (job, { signal }) => {
+      return generateDocumentComparisonBrief(job.projectId, job.params.documentId, job.params.otherDocumentId, {
+        refresh: job.params.refresh,
+        signal
+      });
+    },
+    checkNotes: async (job, { signal, reportProgress }) => {
+      const result = await checkDraftAgainstNotes(job.projectId, job.params.documentId, {
+        refresh: job.params.refresh,
+        signal,
+        onProgress: reportProgress
+      });
+      return { documentId: result.documentId, checked: result.checked, addressed: result.addressed };
+    },
+    analyzeAll: async (job, { signal, reportProgress }) => {
+      return analyzeProject(job.projectId, { ...job.params, signal, onProgress: reportProgress });
+    },
+    continuityCheck: async (job, { signal, reportProgress }) => {
+      return checkProjectContinuity(job.projectId, { ...job.params, signal, onProgress: reportProgress });
+    },
+    relationships: async (job, { signal, reportProgress }) => {
+      const { relationships, coverage } = await extractDocumentRelationships(job.projectId, job.params.documentId, {
+        refresh: job.params.refresh,
+        signal,
+        onProgress: reportProgress
+      });
+      return { documentId: job.params.documentId, relationshipCount: relationships.length, coverage };
+    }
+  }
+});
+
+const JOB_TYPES = ['analyze', 'updateGrid', 'classify', 'compareBrief', 'checkNotes', 'relationships'];
+
+// Queue an AI job: { type, documentId, otherDocumentId (compareBrief), model, refresh }
+// (refresh skips cached AI responses)
+// An identical job that is already queued or running is returned instead of a duplicate
+app.post('/api/jobs', async (req, res) => {
+  try {
+    const projectId = getProjectId(req);
+    const paths = getProjectPaths(projectId);
+    const { type, documentId, otherDocumentId, model, refresh = false } = req.body || {};
+
+    const errors = [];
+    if (!JOB_TYPES.includes(type)) {
+      errors.push(`type must be one of: ${JOB_TYPES.join(', ')}`);
+    }
+    if (!documentId) {
+      errors.push('documentId is required');
+    }
+    if (type === 'compareBrief' && !otherDocumentId) {
+      errors.push('otherDocumentId is required for compareBrief jobs');
+    }
+    if (model !== undefined && typeof model !== 'string') {
+      errors.push('model must be a string');
+    }
+    if (typeof refresh !== 'boolean') {
+      errors.push('refresh must be a boolean');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; '), errors });
+    }
+
+    const { projectData } = await loadProjectDocument(paths, documentId);
+    if (type === 'compareBrief' && otherDocumentId !== 'previous' &&
+        !projectData.documents.some(d => d.id === otherDocumentId)) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    await assertWithinBudget(projectId);
+
+    const params = { documentId };
+    if (type === 'compareBrief') params.otherDocumentId = otherDocumentId;
+    if (model) params.model = model;
+    if (refresh) params.refresh = true;
+
+    const activeJobs = await jobQueue.list(projectId);
+    const existing = activeJobs.find(job => ACTIVE_STATUSES.includes(job.status) &&
+      job.type === type &&
+      job.params.documentId === documentId &&
+      job.params.otherDocumentId === params.otherDocumentId);
+    if (existing) {
+      return res.json({ success: true, job: existing, existing: true });
+    }
+
+    const job = await jobQueue.enqueue(projectId, type, params);
+    res.status(202).json({ success: true, job });
+  } catch (error) {
+    console.error('Create job error:', error);
+    res.status(error.httpStatus || 500).json({ error: error.message });
+  }
+});
+
+// List a project's jobs, newest first (optional ?status= and ?documentId= filters)
+app.get('/api/jobs', async (req, res) => {
+  try {
+    const projectId = getProjectId(req);
+    let jobs = await jobQueue.list(projectId, { status: req.query.status });
+    if (req.query.documentId) {
+      jobs = jobs.filter(job => job.params.documentId === req.query.documentId);
+    }
+
+    res.json({ success: true, jobs: [...jobs].reverse() });
+  } catch (error) {
+    console.error('List jobs error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stream job updates as Server-Sent Events. EventSource can't send headers,
+// so pass ?projectId=. Sends a "snapshot" of active jobs, then a "job" event
+// for every change.
+app.get('/api/jobs/events', async (req, res) => {
+  try {
+    const projectId = getProjectId(req);
+    const jobs = await jobQueue.list(projectId);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    send('snapshot', { jobs: jobs.filter(job => ACTIVE_STATUSES.includes(job.status)) });
+
+    const unsubscribe = jobQueue.subscribe(projectId, job => send('job', job));
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (error) {
+    console.error('Job events error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-        await fs.writeJSON(paths.dataPath, projectData, { spaces: 2 });
-        res.json({ success: true, message: 'Story grid saved' });
-      } else {
-        res.status(404).json({ error: 'Document not found' });
-      }
-    } else {
-      res.status(404).json({ error: 'Project not found' });
+// Get one job
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobQueue.get(getProjectId(req), req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
     }
+    res.json({ success: true, job });
   } catch (error) {
-    console.error('Save story grid error:', error);
+    console.error('Get job error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Compare two documents
-app.get('/api/compare/:id1/:id2', async (req, res) => {
+// Cancel a queued or running job
+app.post('/api/jobs/:id/cancel', async (req, res) => {
   try {
-    const projectId = getProjectId(req);
-    const paths = getProjectPaths(projectId);
+    const job = await jobQueue.get(getProjectId(req), req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!ACTIVE_STATUSES.includes(job.status)) {
+      return res.status(409).json({ error: `Job is already ${job.status}` });
+    }
 
-    if (await fs.pathExists(paths.dataPath)) {
-      const projectData = await fs.readJSON(paths.dataPath);
-      let doc1 = projectData.documents.find(d => d.id === req.params.id1);
-      let doc2 = projectData.documents.find(d => d.id === req.params.id2);
+    await jobQueue.cancel(job);
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('Cancel job error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      if (!doc1 || !doc2) {
-        return res.status(404).json({ error: 'One or both documents not found' });
-      }
+// Retry a failed or cancelled job
+app.post('/api/jobs/:id/retry', async (req, res) => {
+  try {
+    const job = await jobQueue.get(getProjectId(req), req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!['failed', 'cancelled'].includes(job.status)) {
+      return res.status(409).json({ error: `Only failed or cancelled jobs can be retried (job is ${job.status})` });
+    }
 
-      // Ensure doc1 is older, doc2 is newer (by date)
-      if (new Date(doc1.date) > new Date(doc2.date)) {
-        [doc1, doc2] = [doc2, doc1]; // Swap
-      }
+    await assertWithinBudget(job.projectId);
+
+    await jobQueue.retry(job);
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('Retry job error:', error);
+    res.status(error.httpStatus || 500).json({ error: error.message });
+  }
+});
 
-      // Load original text from both documents
-      const text1Path = path.join(paths.uploadsDir, doc1.filePath);
-      const text2Path = path.join(paths.uploadsDir, doc2.filePath);
+// Analyze every unclassified or stale document in a project as one background job
+// Body: { model, includeGrid, force, refresh, concurrency, dryRun }. dryRun lists what
+// would be analyzed without queueing anything; a batch already queued or
+// running is returned instead of a second one.
+app.post('/api/projects/:id/analyze-all', async (req, res) => {
+  try {
+    const projectId = req.params.id;
+    const { model, includeGrid = false, force = false, refresh = false, concurrency, dryRun = false } = req.body || {};
 
-      const text1 = await extractTextFromFile(text1Path, doc1.filename);
-      const text2 = await extractTextFromFile(text2Path, doc2.filename);
+    const errors = [];
+    if (model !== undefined && typeof model !== 'string') {
+      errors.push('model must be a string');
+    }
+    for (const [name, value] of Object.entries({ includeGrid, force, refresh, dryRun })) {
+      if (typeof value !== 'boolean') errors.push(`${name} must be a boolean`);
+    }
+    if (concurrency !== undefined && !Number.isInteger(concurrency)) {
+      errors.push('concurrency must be an integer');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; '), errors });
+    }
 
-      // Generate diff
-      const textDiff = Diff.diffWords(text1, text2);
+    const { plan } = await planProjectAnalysis(projectId, { force });
 
-      // Calculate statistics
-      let added = 0, removed = 0, unchanged = 0;
-      textDiff.forEach(part => {
-        const wordCount = part.value.split(/\s+/).filter(w => w.length > 0).length;
-        if (part.added) added += wordCount;
-        else if (part.removed) removed += wordCount;
-        else unchanged += wordCount;
+    if (dryRun) {
+      return res.json({
+        success: true,
+        documents: plan.map(({ document, reason }) => ({
+          documentId: document.id,
+          filename: document.filename,
+          reason,
+          description: reason ? ANALYSIS_REASONS[reason] : 'Up to date'
+        })),
+        toAnalyze: plan.filter(entry => entry.reason).length
       });
+    }
 
-      // Character changes
-      const newCharacters = doc2.characters.filter(c => !doc1.characters.includes(c));
-      const removedCharacters = doc1.characters.filter(c => !doc2.characters.includes(c));
-
-      // Theme changes
-      const newThemes = doc2.themes.filter(t => !doc1.themes.includes(t));
-      const removedThemes = doc1.themes.filter(t => !doc2.themes.includes(t));
-      const unchangedThemes = doc1.themes.filter(t => doc2.themes.includes(t));
-
-      // Thematic shift analysis
-      const themeCountChange = doc2.themes.length - doc1.themes.length;
-      const thematicShift = {
-        added: newThemes.length,
-        removed: removedThemes.length,
-        unchanged: unchangedThemes.length,
-        totalChange: newThemes.length + removedThemes.length,
-        netChange: themeCountChange,
-        shiftPercentage: doc1.themes.length > 0
-          ? Math.round(((newThemes.length + removedThemes.length) / doc1.themes.length) * 100)
-          : 0
-      };
+    const jobs = await jobQueue.list(projectId);
+    const existing = jobs.find(job => job.type === 'analyzeAll' && ACTIVE_STATUSES.includes(job.status));
+    if (existing) {
+      return res.json({ success: true, job: existing, existing: true });
+    }
 
-      // Section changes (comparing section titles)
-      const doc1SectionTitles = doc1.sections.map(s => s.title);
-      const doc2SectionTitles = doc2.sections.map(s => s.title);
-      const newSections = doc2.sections.filter(s => !doc1SectionTitles.includes(s.title));
-      const removedSections = doc1.sections.filter(s => !doc2SectionTitles.includes(s.title));
-
-      // Generate AI brief if OpenRouter is configured
-      const statsForBrief = {
-        wordsAdded: added,
-        wordsRemoved: removed,
-        wordCountChange: doc2.wordCount - doc1.wordCount,
-        newCharacters,
-        removedCharacters,
-        newThemes,
-        removedThemes,
-        newSections,
-        removedSections
-      };
+    await assertWithinBudget(projectId);
 
-      const brief = await generateComparisonBrief(
-        doc1,
-        doc2,
-        statsForBrief,
-        text1.substring(0, 500),
-        text2.substring(0, 500)
-      );
+    const params = { includeGrid, force, refresh, concurrency: normalizeConcurrency(concurrency) };
+    if (model) params.model = model;
 
-      res.json({
-        doc1: {
-          id: doc1.id,
-          filename: doc1.filename,
-          date: doc1.date,
-          wordCount: doc1.wordCount,
-          characters: doc1.characters,
-          themes: doc1.themes,
-          sections: doc1.sections
-        },
-        doc2: {
-          id: doc2.id,
-          filename: doc2.filename,
-          date: doc2.date,
-          wordCount: doc2.wordCount,
-          characters: doc2.characters,
-          themes: doc2.themes,
-          sections: doc2.sections
-        },
-        stats: {
-          wordsAdded: added,
-          wordsRemoved: removed,
-          wordsUnchanged: unchanged,
-          wordCountChange: doc2.wordCount - doc1.wordCount,
-          newCharacters,
-          removedCharacters,
-          newThemes,
-          removedThemes,
-          unchangedThemes,
-          thematicShift,
-          newSections,
-          removedSections,
-          sectionCountChange: doc2.sections.length - doc1.sections.length
-        },
-        brief: brief || null
-      });
-    } else {
-      res.status(404).json({ error: 'Project data not found' });
-    }
+    const job = await jobQueue.enqueue(projectId, 'analyzeAll', params);
+    res.status(202).json({ success: true, job });
   } catch (error) {
-    console.error('Compare error:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Analyze all error:', error);
+    res.status(error.httpStatus || 500).json({ error: error.message });
   }
 });
 
@@ -1393,11 +3986,18 @@ app.get('/api/timeline', async (req, res) => {
 
       // Reverse chronological order (newest first)
       const documentsReversed = [...documents].reverse();
+      const documentTypes = await getProjectDocumentTypes(projectId);
 
       // Add styling information to each document
+      // (screenplay structure is served separately via /api/documents/:id/screenplay)
       const documentsWithStyle = documentsReversed.map(doc => ({
         ...doc,
-        style: getDocumentTypeStyle(doc.type)
+        chainId: getChainId(doc),
+        revision: doc.revision || 1,
+        dateSource: getDateSource(doc),
+        dateIsFallback: getDateSource(doc) === 'upload',
+        hasScreenplay: !!doc.hasScreenplay,
+        style: getDocumentTypeStyle(doc.type, documentTypes)
       }));
 
       res.json({
@@ -1441,19 +4041,47 @@ app.get('/api/story-grid', async (req, res) => {
       const allCharacters = [...new Set(documents.flatMap(d => d.characters || []))].sort();
       const allThemes = [...new Set(documents.flatMap(d => d.themes || []))].sort();
 
+      // A registered character's mentions and dialogue include its aliases
+      const characterBible = await loadCharacterBible(paths.charactersPath);
+      const characterNames = allCharacters.map(character => {
+        const registered = findCharacterByName(characterBible, character);
+        return { registered, names: registered ? getCharacterNames(registered) : [character] };
+      });
+
+      // Mention counts (and dialogue stats for scripts), cached by content hash
+      const textStats = {};
+      for (const doc of sortedDocs) {
+        try {
+          textStats[doc.id] = await getGridTextStats(paths, doc, characterNames.map(c => c.names));
+        } catch (error) {
+          console.warn(`Story grid: could not load text for ${doc.filename}:`, error.message);
+          textStats[doc.id] = { mentions: characterNames.map(() => 0), dialogue: null };
+        }
+      }
+
       // Build character matrix (character × document)
-      const characterGrid = allCharacters.map(character => {
-        const appearances = sortedDocs.map(doc => ({
-          docId: doc.id,
-          docName: doc.filename,
-          docDate: doc.date,
-          present: (doc.characters || []).includes(character),
-          // Count occurrences in full text if needed (future enhancement)
-          mentions: (doc.characters || []).includes(character) ? 1 : 0
-        }));
+      const characterGrid = allCharacters.map((character, index) => {
+        const { registered, names } = characterNames[index];
+
+        const appearances = sortedDocs.map(doc => {
+          const { mentions, dialogue } = textStats[doc.id];
+          const dialogueStats = names.map(name => dialogue?.[name.toUpperCase()]).filter(stats => stats);
+
+          return {
+            docId: doc.id,
+            docName: doc.title || doc.filename,
+            docDate: doc.date,
+            present: (doc.characters || []).includes(character),
+            mentions: mentions[index],
+            dialogueLines: dialogueStats.reduce((sum, stats) => sum + stats.lines, 0),
+            dialogueWords: dialogueStats.reduce((sum, stats) => sum + stats.words, 0)
+          };
+        });
 
         return {
           character,
+          aliases: registered ? registered.aliases : [],
+          role: registered ? registered.role : null,
           appearances,
           totalAppearances: appearances.filter(a => a.present).length,
           firstAppearance: appearances.find(a => a.present)?.docDate || null,
@@ -1483,6 +4111,7 @@ app.get('/api/story-grid', async (req, res) => {
         documents: sortedDocs.map(d => ({
           id: d.id,
           filename: d.filename,
+          title: d.title || null,
           date: d.date,
           type: d.type,
           wordCount: d.wordCount,
@@ -1493,7 +4122,8 @@ app.get('/api/story-grid', async (req, res) => {
           episodes: d.episodes || [],
           characterActions: d.characterActions || {},
           themeAppearances: d.themeAppearances || {},
-          characterOrder: d.characterOrder || []
+          characterOrder: d.characterOrder || [],
+          dialogueStats: textStats[d.id].dialogue
         })),
         characterGrid,
         themeGrid,
@@ -1526,22 +4156,84 @@ app.get('/api/story-grid', async (req, res) => {
   }
 });
 
-// Get document type information
-app.get('/api/document-types', (req, res) => {
-  // Return document types with descriptions and styling
-  const types = {};
-  Object.keys(DOCUMENT_TYPES).forEach(key => {
-    const type = DOCUMENT_TYPES[key];
-    types[key] = {
-      name: type.name,
-      description: type.description,
-      expectedContent: type.expectedContent,
-      style: getDocumentTypeStyle(key),
-      isExternal: type.isExternal || false,
-      isInternal: type.isInternal || false
-    };
-  });
-  res.json(types);
+// Character relationship graph across the timeline (see relationships.js).
+// ?until= (a date) or ?documentId= (that document's date) shows the graph as
+// of that point; ?type= keeps one relationship type.
+app.get('/api/relationships', async (req, res) => {
+  try {
+    const paths = getProjectPaths(getProjectId(req));
+    if (req.query.type !== undefined && !RELATIONSHIP_TYPES.includes(req.query.type)) {
+      return res.status(400).json({ error: `type must be one of: ${RELATIONSHIP_TYPES.join(', ')}` });
+    }
+
+    const documents = (await fs.pathExists(paths.dataPath)) ? (await fs.readJSON(paths.dataPath)).documents : [];
+    let until = null;
+    if (req.query.documentId) {
+      const document = documents.find(d => d.id === req.query.documentId);
+      if (!document) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+      until = new Date(document.date);
+    } else if (req.query.until) {
+      until = new Date(req.query.until);
+      if (isNaN(until)) {
+        return res.status(400).json({ error: 'until must be a date' });
+      }
+    }
+
+    const scoped = req.query.type
+      ? documents.map(d => Array.isArray(d.relationships) ? { ...d, relationships: d.relationships.filter(r => r.type === req.query.type) } : d)
+      : documents;
+    const graph = buildRelationshipGraph(scoped, { until });
+
+    res.json({
+      ...graph,
+      until: until ? until.toISOString() : null,
+      types: RELATIONSHIP_TYPES,
+      unanalyzed: documents.filter(d => !Array.isArray(d.relationships)).length
+    });
+  } catch (error) {
+    console.error('Relationships error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get document type information (built-ins plus the project's custom types)
+app.get('/api/document-types', async (req, res) => {
+  try {
+    const projectId = getProjectId(req);
+    const documentTypes = await getProjectDocumentTypes(projectId);
+
+    // Return document types with descriptions and styling
+    const types = {};
+    Object.keys(documentTypes).forEach(key => {
+      const type = documentTypes[key];
+      types[key] = {
+        name: type.name,
+        description: type.description,
+        expectedContent: type.expectedContent,
+        style: getDocumentTypeStyle(key, documentTypes),
+        isExternal: type.isExternal || false,
+        isInternal: type.isInternal || false,
+        isCustom: type.isCustom || false
+      };
+
+      // Custom types are editable, so return their full definition
+      if (type.isCustom) {
+        Object.assign(types[key], {
+          color: type.color,
+          textColor: type.textColor,
+          filenameKeywords: type.filenameKeywords,
+          contentKeywords: type.contentKeywords,
+          typicalWordCount: type.typicalWordCount
+        });
+      }
+    });
+    res.json(types);
+  } catch (error) {
+    console.error('Document types error:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // ========================================
@@ -1681,7 +4373,9 @@ app.delete('/api/projects/:id', async (req, res) => {
       return res.status(404).json({ success: false, error: 'Project not found' });
     }
 
-    // Delete entire project directory
+    // Stop any background jobs, then delete entire project directory
+    jobQueue.forgetProject(req.params.id);
+    usageLedger.forgetProject(req.params.id);
     await fs.remove(projectPath);
 
     res.json({ success: true, message: 'Project deleted' });
@@ -1697,18 +4391,30 @@ app.get('/api/projects/:id/settings', async (req, res) => {
     const paths = getProjectPaths(req.params.id);
     const settingsPath = path.join(paths.projectDir, 'project-settings.json');
 
+    const defaults = {
+      aiPrompts: DEFAULT_AI_PROMPTS,
+      dateOrder: 'us',
+      analysisMode: 'chunked',
+      aiProvider: { type: getDefaultProviderType() },
+      monthlyBudget: null
+    };
+
     // If settings file exists, load it
     if (await fs.pathExists(settingsPath)) {
       const settings = await fs.readJSON(settingsPath);
-      return res.json({ success: true, settings });
+      return res.json({
+        success: true,
+        // Prompts added since the settings were saved get their defaults
+        settings: { ...defaults, ...settings, aiPrompts: { ...DEFAULT_AI_PROMPTS, ...settings.aiPrompts } },
+        providers: listProviders(settings.aiProvider)
+      });
     }
 
     // Otherwise, return default settings
     res.json({
       success: true,
-      settings: {
-        aiPrompts: DEFAULT_AI_PROMPTS
-      }
+      settings: defaults,
+      providers: listProviders()
     });
   } catch (error) {
     console.error('Get project settings error:', error);
@@ -1716,6 +4422,86 @@ app.get('/api/projects/:id/settings', async (req, res) => {
   }
 });
 
+// Get a project's prompt version history, newest first
+// Query: ?key=notes limits it to one prompt
+app.get('/api/projects/:id/prompt-history', async (req, res) => {
+  try {
+    const paths = getProjectPaths(req.params.id);
+    if (!(await fs.pathExists(paths.projectDir))) {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+
+    const key = req.query.key;
+    if (key !== undefined && !Object.hasOwn(DEFAULT_AI_PROMPTS, key)) {
+      return res.status(400).json({ success: false, error: `key must be one of: ${Object.keys(DEFAULT_AI_PROMPTS).join(', ')}` });
+    }
+
+    const history = await loadPromptHistory(paths.promptHistoryPath);
+    const versions = key
+      ? getPromptVersions(history, key)
+      : [...history.versions].sort((a, b) => b.savedAt.localeCompare(a.savedAt) || a.key.localeCompare(b.key));
+
+    res.json({ success: true, versions });
+  } catch (error) {
+    console.error('Get prompt history error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Helper function to validate a project settings update. Prompt configs must
+// be objects with a prompt and model for a known prompt key, and may list
+// fallback models, tried in order when the model is blocked by moderation or
+// fails with a transient error. Returns a list of error messages.
+function validateSettingsUpdate(body) {
+  const errors = [];
+
+  if (body.aiPrompts !== undefined) {
+    if (!body.aiPrompts || typeof body.aiPrompts !== 'object' || Array.isArray(body.aiPrompts)) {
+      errors.push('aiPrompts must be an object');
+    } else {
+      for (const [key, config] of Object.entries(body.aiPrompts)) {
+        if (!Object.hasOwn(DEFAULT_AI_PROMPTS, key)) {
+          errors.push(`Unknown prompt: ${key}`);
+          continue;
+        }
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+          errors.push(`aiPrompts.${key} must be an object`);
+          continue;
+        }
+        if (typeof config.prompt !== 'string') {
+          errors.push(`aiPrompts.${key}.prompt must be a string`);
+        }
+        if (typeof config.model !== 'string' || !config.model.trim()) {
+          errors.push(`aiPrompts.${key}.model must be a model name`);
+        }
+        const fallbackModels = config.fallbackModels;
+        if (fallbackModels !== undefined && (!Array.isArray(fallbackModels) || !fallbackModels.every(m => typeof m === 'string' && m.trim()))) {
+          errors.push(`aiPrompts.${key}.fallbackModels must be an array of model names`);
+        }
+      }
+    }
+  }
+
+  if (body.dateOrder !== undefined && !DATE_ORDERS.includes(body.dateOrder)) {
+    errors.push(`dateOrder must be one of: ${DATE_ORDERS.join(', ')}`);
+  }
+
+  if (body.analysisMode !== undefined && !ANALYSIS_MODES.includes(body.analysisMode)) {
+    errors.push(`analysisMode must be one of: ${ANALYSIS_MODES.join(', ')}`);
+  }
+
+  if (body.aiProvider !== undefined) {
+    errors.push(...validateProviderConfig(body.aiProvider));
+  }
+
+  const budget = body.monthlyBudget;
+  if (budget !== undefined && budget !== null && (typeof budget !== 'number' || !Number.isFinite(budget) || budget < 0)) {
+    errors.push('monthlyBudget must be a non-negative number or null');
+  }
+
+  return errors;
+}
+
 // Save project settings
 app.post('/api/projects/:id/settings', async (req, res) => {
   try {
@@ -1727,12 +4513,45 @@ app.post('/api/projects/:id/settings', async (req, res) => {
       return res.status(404).json({ success: false, error: 'Project not found' });
     }
 
-    // Save settings
-    const settings = {
-      aiPrompts: req.body.aiPrompts || {}
-    };
+    // Validate everything before saving anything, prompt history included
+    const errors = validateSettingsUpdate(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('; '), errors });
+    }
+
+    // Save settings (keeping custom document types, which are managed separately);
+    // each changed prompt gets a new version in the prompt history
+    const settings = await withProjectDataLock(req.params.id, async () => {
+      const existing = await loadProjectSettings(req.params.id);
+      const settings = {
+        ...existing,
+        aiPrompts: await recordPromptVersions(paths.promptHistoryPath, existing.aiPrompts, req.body.aiPrompts || {}, DEFAULT_AI_PROMPTS)
+      };
+
+      // Day/month order for ambiguous filename dates (08-10-2022)
+      if (req.body.dateOrder !== undefined) {
+        settings.dateOrder = req.body.dateOrder;
+      }
+
+      // Long documents: analyze every chunk ('chunked') or only the first ('truncated')
+      if (req.body.analysisMode !== undefined) {
+        settings.analysisMode = req.body.analysisMode;
+      }
+
+      // AI provider: { type: 'openrouter' | 'local' | 'heuristic', baseUrl, model }
+      if (req.body.aiProvider !== undefined) {
+        const { type, baseUrl, model } = req.body.aiProvider;
+        settings.aiProvider = { type, baseUrl: baseUrl || null, model: model || null };
+      }
 
-    await fs.writeJSON(settingsPath, settings, { spaces: 2 });
+      // Monthly AI budget in USD (null removes it); new AI jobs are refused once it's spent
+      if (req.body.monthlyBudget !== undefined) {
+        settings.monthlyBudget = req.body.monthlyBudget;
+      }
+
+      await fs.writeJSON(settingsPath, settings, { spaces: 2 });
+      return settings;
+    });
 
     res.json({ success: true, message: 'Settings saved', settings });
   } catch (error) {
@@ -1741,6 +4560,197 @@ app.post('/api/projects/:id/settings', async (req, res) => {
   }
 });
 
+// Get the size of a project's AI response cache
+app.get('/api/projects/:id/ai-cache', async (req, res) => {
+  try {
+    const paths = getProjectPaths(req.params.id);
+    if (!(await fs.pathExists(paths.projectDir))) {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+
+    res.json({ success: true, ...(await getResponseCacheStats(paths.aiCacheDir)) });
+  } catch (error) {
+    console.error('Get AI cache error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Clear a project's AI response cache, so every AI request is made afresh
+app.delete('/api/projects/:id/ai-cache', async (req, res) => {
+  try {
+    const paths = getProjectPaths(req.params.id);
+    if (!(await fs.pathExists(paths.projectDir))) {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+
+    const removed = await clearResponseCache(paths.aiCacheDir);
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error('Clear AI cache error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Helper function to parse and validate the usage report query (?groupBy=&from=&to=)
+function parseUsageQuery(query) {
+  const groupBy = query.groupBy || 'month';
+  if (!USAGE_GROUPINGS.includes(groupBy)) {
+    throw createHttpError(400, `groupBy must be one of: ${USAGE_GROUPINGS.join(', ')}`);
+  }
+  for (const name of ['from', 'to']) {
+    if (query[name] && Number.isNaN(new Date(query[name]).getTime())) {
+      throw createHttpError(400, `${name} must be a date`);
+    }
+  }
+  return { groupBy, from: query.from || null, to: query.to || null };
+}
+
+// AI usage report for a project: token and cost totals by operation, model,
+// document and period, plus spending against the monthly budget
+app.get('/api/projects/:id/usage', async (req, res) => {
+  try {
+    const projectId = req.params.id;
+    const paths = getProjectPaths(projectId);
+    if (!(await fs.pathExists(paths.projectDir))) {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+
+    const { groupBy, from, to } = parseUsageQuery(req.query);
+    const report = summarizeUsage(await usageLedger.list(projectId, { from, to }), { groupBy });
+
+    // Label documents with their filenames (deleted documents keep their id)
+    const projectData = await fs.pathExists(paths.dataPath) ? await fs.readJSON(paths.dataPath) : { documents: [] };
+    const filenames = Object.fromEntries(projectData.documents.map(d => [d.id, d.title || d.filename]));
+    const byDocument = Object.entries(report.byDocument).map(([documentId, totals]) => ({
+      documentId: documentId === 'none' ? null : documentId,
+      filename: filenames[documentId] || null,
+      ...totals
+    })).sort((a, b) => b.totalTokens - a.totalTokens);
+
+    res.json({
+      success: true,
+      ...report,
+      byDocument,
+      budget: await getBudgetStatus(projectId)
+    });
+  } catch (error) {
+    console.error('Get usage error:', error);
+    res.status(error.httpStatus || 500).json({ success: false, error: error.message });
+  }
+});
+
+// AI usage across all projects: overall totals by period and each project's
+// totals and monthly budget
+app.get('/api/usage', async (req, res) => {
+  try {
+    const { groupBy, from, to } = parseUsageQuery(req.query);
+    const allRecords = [];
+    const projects = [];
+
+    for (const projectId of await listProjectIds()) {
+      const records = await usageLedger.list(projectId, { from, to });
+      allRecords.push(...records);
+
+      const { metaPath } = getProjectPaths(projectId);
+      const meta = await fs.pathExists(metaPath) ? await fs.readJSON(metaPath) : {};
+      projects.push({
+        id: projectId,
+        name: meta.name || projectId,
+        totals: summarizeUsage(records, { groupBy }).totals,
+        budget: await getBudgetStatus(projectId)
+      });
+    }
+
+    const { totals, byOperation, byModel, byPeriod } = summarizeUsage(allRecords, { groupBy });
+    res.json({ success: true, groupBy, totals, byOperation, byModel, byPeriod, projects });
+  } catch (error) {
+    console.error('Get usage error:', error);
+    res.status(error.httpStatus || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Create or update a custom document type
+app.post('/api/projects/:id/document-types/:key', async (req, res) => {
+  try {
+    const paths = getProjectPaths(req.params.id);
+    const { key } = req.params;
+
+    if (!(await fs.pathExists(paths.projectDir))) {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+
+    const errors = validateCustomDocumentType(key, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('; '), errors });
+    }
+
+    const { created, type } = await withProjectDataLock(req.params.id, async () => {
+      const settings = await loadProjectSettings(req.params.id);
+      const customDocumentTypes = settings.customDocumentTypes || {};
+      const created = !Object.hasOwn(customDocumentTypes, key);
+
+      customDocumentTypes[key] = {
+        name: req.body.name.trim(),
+        description: req.body.description || '',
+        color: req.body.color || '#fafafa',
+        textColor: req.body.textColor || null,
+        expectedContent: req.body.expectedContent || [],
+        filenameKeywords: req.body.filenameKeywords || [],
+        contentKeywords: req.body.contentKeywords || [],
+        typicalWordCount: req.body.typicalWordCount || { min: 0, max: 999999 }
+      };
+
+      await fs.writeJSON(paths.settingsPath, { ...settings, customDocumentTypes }, { spaces: 2 });
+      return { created, type: customDocumentTypes[key] };
+    });
+
+    res.status(created ? 201 : 200).json({ success: true, key, type });
+  } catch (error) {
+    console.error('Save document type error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a custom document type (documents of that type go back to unclassified)
+app.delete('/api/projects/:id/document-types/:key', async (req, res) => {
+  try {
+    const paths = getProjectPaths(req.params.id);
+    const { key } = req.params;
+
+    const reclassified = await withProjectDataLock(req.params.id, async () => {
+      const settings = await loadProjectSettings(req.params.id);
+      const customDocumentTypes = settings.customDocumentTypes || {};
+
+      if (!Object.hasOwn(customDocumentTypes, key)) {
+        throw createHttpError(404, 'Custom document type not found');
+      }
+
+      delete customDocumentTypes[key];
+      await fs.writeJSON(paths.settingsPath, { ...settings, customDocumentTypes }, { spaces: 2 });
+
+      if (!(await fs.pathExists(paths.dataPath))) return 0;
+
+      const projectData = await fs.readJSON(paths.dataPath);
+      let count = 0;
+      projectData.documents.forEach(doc => {
+        if (doc.type === key) {
+          doc.type = 'unclassified';
+          count++;
+        }
+      });
+      if (count > 0) {
+        await fs.writeJSON(paths.dataPath, projectData, { spaces: 2 });
+      }
+      return count;
+    });
+
+    res.json({ success: true, reclassified });
+  } catch (error) {
+    console.error('Delete document type error:', error);
+    res.status(error.httpStatus || 500).json({ success: false, error: error.message });
+  }
+});
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -1751,5 +4761,14 @@ app.listen(PORT, () => {
   console.log(`🚀 Larga server running on http://localhost:${PORT}`);
   console.log(`📁 Uploads directory: ${UPLOADS_DIR}`);
   console.log(`💾 Projects directory: ${PROJECTS_DIR}`);
-  console.log(`🤖 AI Analysis: ${openai ? '✅ ENABLED (OpenRouter + GPT-4o)' : '❌ Disabled (set OPENROUTER_API_KEY in .env)'}`);
+  const provider = createProvider();
+  console.log(`🤖 AI Analysis: ${provider.name} by default - projects can choose a provider in Settings`);
+
+  migrateInlineScreenplays().then(count => {
+    if (count > 0) console.log(`📦 Removed inline screenplay structure from ${count} document(s) (kept in the text cache)`);
+  });
+
+  jobQueue.restore().then(count => {
+    if (count > 0) console.log(`⏳ Resuming ${count} queued AI job(s)`);
+  });
 });